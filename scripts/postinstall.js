@@ -1,5 +1,7 @@
 #!/usr/bin/env node
 
+import { getTools } from '../src/tools.js';
+
 console.log('\x1b[34m============================================\x1b[0m');
 console.log('\x1b[34m  AgentForce Reliable Tool Installation Complete \x1b[0m');
 console.log('\x1b[34m============================================\x1b[0m');
@@ -9,14 +11,14 @@ console.log('Run our configuration wizard to set up your client:');
 console.log('\x1b[32mnpx agentforce-reliable-tool configure\x1b[0m');
 
 console.log('\x1b[33mAvailable Tools:\x1b[0m');
-console.log('- agentforce_authenticate: Authenticate with Salesforce');
-console.log('- agentforce_create_session: Create a new agent session');
-console.log('- agentforce_send_message: Send a message to the agent');
-console.log('- agentforce_get_status: Check connection status');
-console.log('- agentforce_reset: Reset the client');
+for (const tool of getTools()) {
+  console.log(`- ${tool.name}: ${tool.summary}`);
+}
 
 console.log('\x1b[34mClaude Desktop Integration:\x1b[0m');
-console.log('After configuring, add to your Claude Desktop config file:');
+console.log('After configuring, add the tool to your Claude Desktop config file:');
+console.log('\x1b[32mnpx agentforce-reliable-tool install-claude\x1b[0m');
+console.log('Or add this entry by hand:');
 console.log('\x1b[32m{');
 console.log('  "mcpServers": {');
 console.log('    "agentforce": {');
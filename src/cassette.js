@@ -0,0 +1,274 @@
+/**
+ * Cassettes
+ * Records the tool calls exchanged with the Reliable Server (/mcp/call-tool) to JSON files, and
+ * replays them later without a server: matched by tool name and normalized arguments, in recorded
+ * order, with the recorded timing, responses and errors. API keys and credentials are scrubbed
+ * before anything is written, and so are identifying fields (emails, org and agent ids, instance
+ * URLs, and every connection setting passed to agentforce_authenticate), so cassettes are safe to
+ * commit. config.cassette tunes the identifying fields:
+ *   scrubFields: ["accountNumber"],  // masked on top of the defaults
+ *   keepFields: ["agentId"]          // left readable
+ */
+import fs from 'fs';
+import path from 'path';
+import { redact } from './logger.js';
+
+const CASSETTE_VERSION = 1;
+
+// Response headers worth keeping in a cassette
+const KEPT_HEADERS = ['content-type', 'retry-after'];
+
+// Identifying fields masked wherever they appear, on top of the credentials redact() masks
+export const DEFAULT_SCRUB_FIELDS = ['clientEmail', 'email', 'username', 'orgId', 'organizationId', 'agentId', 'apiUrl', 'baseUrl', 'instanceUrl'];
+
+// Tool arguments holding the org's connection settings, all of which are masked
+const CONNECTION_ARGS = {
+  agentforce_authenticate: 'config'
+};
+
+const SCRUBBED = '[REDACTED]';
+
+// Credential values shorter than this are not searched for in recorded text
+const MIN_LEAK_LENGTH = 4;
+
+// Field names (lower case) masked and kept, from config.cassette
+let scrubFields = new Set(DEFAULT_SCRUB_FIELDS.map((field) => field.toLowerCase()));
+let keepFields = new Set();
+// Credential and connection values sent so far while recording, masked wherever they show up later
+// (a status reply echoing the agent id, say)
+let sentValues = new Set();
+
+// 'record', 'replay' or null
+let mode = null;
+let cassettePath = null;
+let recorded = [];
+// Recorded interactions not replayed yet, by match key
+let pending = new Map();
+
+// Arguments as used for matching: scrubbed, without the generated client id, keys sorted
+function normalizeArgs(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeArgs);
+  }
+  if (!value || typeof value !== 'object') {
+    return typeof value === 'string' ? value.trim() : value;
+  }
+  const result = {};
+  for (const key of Object.keys(value).sort()) {
+    result[key] = normalizeArgs(value[key]);
+  }
+  return result;
+}
+
+// Use the scrub settings of config.cassette
+function configureScrubbing(settings = {}) {
+  keepFields = new Set((settings.keepFields || []).map((field) => field.toLowerCase()));
+  scrubFields = new Set([...DEFAULT_SCRUB_FIELDS, ...(settings.scrubFields || [])]
+    .map((field) => field.toLowerCase())
+    .filter((field) => !keepFields.has(field)));
+}
+
+// Deep-copy a value with credentials and identifying fields masked
+function scrub(value) {
+  const masked = (item) => {
+    if (Array.isArray(item)) {
+      return item.map(masked);
+    }
+    if (!item || typeof item !== 'object') {
+      return item;
+    }
+    const result = {};
+    for (const [key, field] of Object.entries(item)) {
+      result[key] = scrubFields.has(key.toLowerCase()) && field !== undefined && field !== null && field !== ''
+        ? SCRUBBED
+        : masked(field);
+    }
+    return result;
+  };
+  return masked(redact(value));
+}
+
+// A tool's arguments, scrubbed
+function scrubArgs(tool, args) {
+  const result = scrub(args || {});
+  const connectionArg = CONNECTION_ARGS[tool];
+  const settings = result[connectionArg];
+  if (connectionArg && settings && typeof settings === 'object') {
+    result[connectionArg] = Object.fromEntries(Object.entries(settings).map(([key, value]) => [
+      key,
+      keepFields.has(key.toLowerCase()) || value === undefined || value === null || value === '' ? value : SCRUBBED
+    ]));
+  }
+  return result;
+}
+
+// Credential and connection values sent with a call
+function sentSecrets(headers, body) {
+  const values = Object.entries(headers || {})
+    .filter(([name]) => /api[-_]?key|authorization/i.test(name))
+    .map(([, value]) => String(value).replace(/^bearer\s+/i, ''));
+
+  const tool = body.tool && body.tool.name;
+  const connectionArg = CONNECTION_ARGS[tool];
+  const settings = connectionArg && body.tool.args && body.tool.args[connectionArg];
+  if (settings && typeof settings === 'object') {
+    for (const [key, value] of Object.entries(settings)) {
+      if (typeof value === 'string' && !keepFields.has(key.toLowerCase())) {
+        values.push(value);
+      }
+    }
+  }
+  return values.filter((value) => value.length >= MIN_LEAK_LENGTH);
+}
+
+// Mask any of the values left in a recording, e.g. an email the server echoed in a reply
+function maskLeaks(interaction, values) {
+  if (values.size === 0) {
+    return interaction;
+  }
+  let text = JSON.stringify(interaction);
+  for (const value of values) {
+    const encoded = JSON.stringify(value).slice(1, -1);
+    text = text.split(encoded).join(SCRUBBED);
+  }
+  return JSON.parse(text);
+}
+
+// Key an interaction is matched on
+function matchKey(tool, args) {
+  const { clientId, ...rest } = scrubArgs(tool, args);
+  return `${tool}:${JSON.stringify(normalizeArgs(rest))}`;
+}
+
+// Keep only the headers a replay needs
+function keptHeaders(headers = {}) {
+  const result = {};
+  for (const name of KEPT_HEADERS) {
+    if (headers[name] !== undefined) {
+      result[name] = String(headers[name]);
+    }
+  }
+  return result;
+}
+
+// Record every tool call made by this process into a new cassette file in dir
+// settings: config.cassette
+export function startRecording(dir, settings) {
+  configureScrubbing(settings);
+  fs.mkdirSync(dir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  cassettePath = path.join(dir, `${stamp}-${process.pid}.json`);
+  recorded = [];
+  sentValues = new Set();
+  mode = 'record';
+  return cassettePath;
+}
+
+// Serve tool calls from the cassettes in dir instead of the server
+// Files are read in name order, so recordings made one after another replay in order
+// settings: config.cassette, scrubbing the live calls the way the recording was scrubbed
+export function startReplay(dir, settings) {
+  configureScrubbing(settings);
+  const files = fs.readdirSync(dir).filter((file) => file.endsWith('.json')).sort();
+  if (files.length === 0) {
+    throw new Error(`No cassettes found in ${dir}`);
+  }
+
+  pending = new Map();
+  let count = 0;
+  for (const file of files) {
+    const cassette = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    for (const interaction of cassette.interactions || []) {
+      const key = matchKey(interaction.tool, interaction.request.body.tool.args);
+      if (!pending.has(key)) {
+        pending.set(key, []);
+      }
+      pending.get(key).push(interaction);
+      count++;
+    }
+  }
+
+  mode = 'replay';
+  return { files: files.length, interactions: count };
+}
+
+// 'record', 'replay' or null
+export function getCassetteMode() {
+  return mode;
+}
+
+// Append one finished call to the cassette
+// outcome: { response } or { error }, after any retries
+export function recordInteraction(url, headers, body, outcome, durationMs) {
+  const tool = body.tool && body.tool.name;
+  let interaction = {
+    tool,
+    recordedAt: new Date().toISOString(),
+    durationMs,
+    request: {
+      method: 'POST',
+      url,
+      // x-api-key and other credential headers are masked by name
+      headers: redact(headers),
+      body: body.tool ? { ...scrub(body), tool: { ...body.tool, args: scrubArgs(tool, body.tool.args) } } : scrub(body)
+    }
+  };
+
+  const { response, error } = outcome;
+  if (response) {
+    interaction.response = {
+      status: response.status,
+      headers: keptHeaders(response.headers),
+      data: scrub(response.data)
+    };
+  } else {
+    interaction.error = {
+      message: redact(error.message),
+      code: error.code,
+      isAxiosError: Boolean(error.isAxiosError),
+      response: error.response ? {
+        status: error.response.status,
+        headers: keptHeaders(error.response.headers),
+        data: scrub(error.response.data)
+      } : undefined
+    };
+  }
+
+  for (const value of sentSecrets(headers, body)) {
+    sentValues.add(value);
+  }
+  interaction = maskLeaks(interaction, sentValues);
+  recorded.push(interaction);
+  fs.writeFileSync(cassettePath, JSON.stringify({
+    version: CASSETTE_VERSION,
+    interactions: recorded
+  }, null, 2));
+}
+
+// Replay the next recorded interaction for this call
+// Resolves with an axios-like response or rejects with an axios-like error, after the recorded time
+export async function replayInteraction(body) {
+  const tool = body.tool && body.tool.name;
+  const key = matchKey(tool, body.tool && body.tool.args);
+  const queue = pending.get(key);
+
+  if (!queue || queue.length === 0) {
+    const error = new Error(`No recorded interaction left for ${tool} with these arguments`);
+    error.code = 'cassette_miss';
+    throw error;
+  }
+
+  const interaction = queue.shift();
+  await new Promise((resolve) => setTimeout(resolve, interaction.durationMs || 0));
+
+  if (interaction.response) {
+    return { ...interaction.response, replayed: true };
+  }
+
+  const error = new Error(interaction.error.message);
+  error.code = interaction.error.code;
+  error.response = interaction.error.response;
+  // Lets axios.isAxiosError recognize it like the original failure
+  error.isAxiosError = interaction.error.isAxiosError;
+  throw error;
+}
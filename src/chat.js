@@ -0,0 +1,158 @@
+/**
+ * Terminal chat
+ * A REPL for talking to an AgentForce agent without going through an MCP host. Messages go through
+ * the same tools Claude uses, so the session is bootstrapped and kept the same way, and replies
+ * stream into the terminal when the server supports it.
+ */
+import fs from 'fs';
+import path from 'path';
+import { createInterface } from 'readline';
+import { runTool } from './tool-runner.js';
+import { loadConfig } from './config.js';
+import { getClientId, startNewSession } from './session.js';
+import { endAllDirectSessions } from './direct.js';
+import { replyText } from './response.js';
+
+const HELP = [
+  '/status        show the connection and session status',
+  '/new           start a new session with the agent',
+  '/reset         reset the client (forget authentication and session)',
+  '/save <file>   save this conversation (.json, or text for any other extension)',
+  '/quit          leave the chat (also /exit or Ctrl+D)'
+];
+
+// Write the conversation to a file: JSON for .json, plain text otherwise
+function saveTranscript(filePath, transcript) {
+  const content = path.extname(filePath).toLowerCase() === '.json'
+    ? JSON.stringify(transcript, null, 2)
+    : transcript.map((entry) => {
+      const latency = entry.latencyMs !== undefined ? ` (${entry.latencyMs} ms)` : '';
+      return `[${entry.at}] ${entry.role}${latency}:\n${entry.text}\n`;
+    }).join('\n');
+  fs.writeFileSync(filePath, content, 'utf8');
+}
+
+// Run the chat until /quit or end of input
+// options: { colors, input, output }
+export async function runChat(options = {}) {
+  const colors = options.colors;
+  const output = options.output || process.stdout;
+  const config = loadConfig();
+  const clientId = getClientId(config);
+  const transcript = [];
+  const write = (text) => output.write(text);
+
+  const rl = createInterface({
+    input: options.input || process.stdin,
+    output,
+    prompt: `${colors.blue}you> ${colors.reset}`
+  });
+
+  write(`${colors.blue}AgentForce chat (profile: ${config.profile}, ${config.mode === 'direct' ? 'direct mode' : config.serverUrl})${colors.reset}\n`);
+  write(`Type a message to talk to the agent, or /help for commands.\n\n`);
+
+  // Send one message, streaming the reply as it arrives
+  async function sendMessage(message) {
+    transcript.push({ role: 'user', text: message, at: new Date().toISOString() });
+
+    let streamed = false;
+    let streamedText = '';
+    const onProgress = (chunk) => {
+      if (!streamed) {
+        write(`${colors.green}agent> `);
+        streamed = true;
+      }
+      streamedText += chunk;
+      write(chunk);
+    };
+
+    const startTime = Date.now();
+    const result = await runTool('agentforce_send_message', { clientId, message }, { onProgress });
+    const latencyMs = Date.now() - startTime;
+    const text = replyText(result);
+
+    if (result.error) {
+      write(`${streamed ? '\n' : ''}${colors.red}${text}${colors.reset}\n`);
+    } else {
+      // Only the reply text streams; options, links and action output follow it
+      const extra = streamed
+        ? replyText({ content: result.content.filter((item) => item.type !== 'text' || !streamedText.includes(item.text)) })
+        : '';
+      write(streamed ? `${colors.reset}\n${extra ? `${colors.green}${extra}${colors.reset}\n` : ''}` : `${colors.green}agent> ${text}${colors.reset}\n`);
+      transcript.push({ role: 'agent', text, at: new Date().toISOString(), latencyMs });
+    }
+    write(`${colors.yellow}(${(latencyMs / 1000).toFixed(2)}s)${colors.reset}\n\n`);
+  }
+
+  // Handle a slash command; resolves to false when the chat should end
+  async function runCommand(line) {
+    const [command, ...rest] = line.split(/\s+/);
+    const argument = rest.join(' ');
+
+    switch (command) {
+      case '/quit':
+      case '/exit':
+        return false;
+
+      case '/help':
+        write(`${HELP.join('\n')}\n\n`);
+        return true;
+
+      case '/status': {
+        const result = await runTool('agentforce_get_status', { clientId });
+        write(`${result.error ? colors.red : colors.blue}${replyText(result)}${colors.reset}\n\n`);
+        return true;
+      }
+
+      case '/new': {
+        try {
+          const session = await startNewSession(loadConfig(), clientId, (name, args) => runTool(name, args));
+          write(`${colors.green}New session started${session && session.id ? `: ${session.id}` : ''}${colors.reset}\n\n`);
+        } catch (error) {
+          write(`${colors.red}${error.message}${colors.reset}\n\n`);
+        }
+        return true;
+      }
+
+      case '/reset': {
+        const result = await runTool('agentforce_reset', { clientId });
+        write(`${result.error ? colors.red : colors.green}${replyText(result)}${colors.reset}\n\n`);
+        return true;
+      }
+
+      case '/save':
+        if (!argument) {
+          write(`${colors.red}Usage: /save <file>${colors.reset}\n\n`);
+          return true;
+        }
+        try {
+          saveTranscript(path.resolve(argument), transcript);
+          write(`${colors.green}Saved ${transcript.length} messages to ${path.resolve(argument)}${colors.reset}\n\n`);
+        } catch (error) {
+          write(`${colors.red}Error saving conversation: ${error.message}${colors.reset}\n\n`);
+        }
+        return true;
+
+      default:
+        write(`${colors.red}Unknown command: ${command} (try /help)${colors.reset}\n\n`);
+        return true;
+    }
+  }
+
+  rl.prompt();
+  for await (const input of rl) {
+    const line = input.trim();
+    if (line.startsWith('/')) {
+      if (!await runCommand(line)) {
+        break;
+      }
+    } else if (line) {
+      await sendMessage(line);
+    }
+    rl.prompt();
+  }
+
+  rl.close();
+  await endAllDirectSessions(config);
+  write('Bye!\n');
+}
@@ -0,0 +1,143 @@
+/**
+ * Claude Desktop integration
+ * Where Claude Desktop keeps its config file on each platform, the mcpServers entry that runs
+ * this tool for a profile, and installing or removing that entry in place. Any MCP host that uses
+ * the same mcpServers format can be targeted by passing its config path.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_PROFILE } from './config.js';
+
+// Package name, as run by the mcpServers entry
+const PACKAGE_NAME = 'agentforce-reliable-tool';
+
+// Path of claude_desktop_config.json on this platform
+export function claudeDesktopConfigPath() {
+  const home = os.homedir();
+  if (process.platform === 'darwin') {
+    return path.join(home, 'Library', 'Application Support', 'Claude', 'claude_desktop_config.json');
+  }
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(home, 'AppData', 'Roaming'), 'Claude', 'claude_desktop_config.json');
+  }
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(home, '.config'), 'Claude', 'claude_desktop_config.json');
+}
+
+// Claude Desktop mcpServers entry for a profile
+// env, if given, is passed to the tool's process
+// The profile is always passed, default included: without it the server would follow activeProfile
+export function claudeDesktopEntry(profileName, env) {
+  const args = [PACKAGE_NAME, '--profile', profileName || DEFAULT_PROFILE];
+
+  const entry = {
+    name: profileName && profileName !== DEFAULT_PROFILE ? `agentforce-${profileName}` : 'agentforce',
+    command: 'npx',
+    args
+  };
+  if (env && Object.keys(env).length > 0) {
+    entry.env = env;
+  }
+  return entry;
+}
+
+// Read a Claude Desktop config file; null if it does not exist, throws if it is not valid JSON
+export function readClaudeDesktopConfig(filePath = claudeDesktopConfigPath()) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Name of the mcpServers entry that runs this tool for a profile, or null if there is none
+// An entry counts when it has the expected name or runs the package with the profile's --profile argument;
+// entries written before the profile was always passed have none and count for the default profile
+export function findClaudeDesktopEntry(desktopConfig, profileName) {
+  const servers = (desktopConfig && desktopConfig.mcpServers) || {};
+  const expected = claudeDesktopEntry(profileName);
+  if (servers[expected.name]) {
+    return expected.name;
+  }
+
+  for (const [name, server] of Object.entries(servers)) {
+    const args = (server && server.args) || [];
+    const runsTool = [server && server.command, ...args].some((arg) => typeof arg === 'string' && arg.includes(PACKAGE_NAME));
+    const profileIndex = args.indexOf('--profile');
+    const entryProfile = profileIndex === -1 ? DEFAULT_PROFILE : args[profileIndex + 1];
+    if (runsTool && entryProfile === (profileName || DEFAULT_PROFILE)) {
+      return name;
+    }
+  }
+  return null;
+}
+
+// Copy a file next to itself with a timestamped .bak suffix; returns the backup path
+function backupFile(filePath) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = `${filePath}.bak-${stamp}`;
+  fs.copyFileSync(filePath, backupPath);
+  return backupPath;
+}
+
+// Write JSON through a temporary file so a crash never leaves a half-written config
+function writeJsonAtomic(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp-${process.pid}`;
+  fs.writeFileSync(tempPath, JSON.stringify(value, null, 2) + '\n', 'utf8');
+  fs.renameSync(tempPath, filePath);
+}
+
+// Add or update the entry for a profile, leaving other servers untouched
+// options: { configPath, profile, name, env, dryRun }
+// Without a name, an existing entry for the profile is updated in place rather than duplicated.
+// Returns { configPath, name, entry, previous, changed, backupPath, config }
+export function installClaudeDesktopEntry(options = {}) {
+  const configPath = options.configPath || claudeDesktopConfigPath();
+  const desktopConfig = readClaudeDesktopConfig(configPath) || {};
+  if (typeof desktopConfig !== 'object' || Array.isArray(desktopConfig)) {
+    throw new Error(`${configPath} does not hold a JSON object`);
+  }
+
+  const { name: defaultName, ...entry } = claudeDesktopEntry(options.profile, options.env);
+  const name = options.name || findClaudeDesktopEntry(desktopConfig, options.profile) || defaultName;
+  const servers = { ...(desktopConfig.mcpServers || {}) };
+  const previous = servers[name] || null;
+  const changed = JSON.stringify(previous) !== JSON.stringify(entry);
+
+  servers[name] = entry;
+  const updated = { ...desktopConfig, mcpServers: servers };
+
+  let backupPath = null;
+  if (changed && !options.dryRun) {
+    if (fs.existsSync(configPath)) {
+      backupPath = backupFile(configPath);
+    }
+    writeJsonAtomic(configPath, updated);
+  }
+
+  return { configPath, name, entry, previous, changed, backupPath, config: updated };
+}
+
+// Remove the entry for a profile (or the entry called options.name)
+// options: { configPath, profile, name, dryRun }
+// Returns { configPath, name, removed, backupPath, config }
+export function uninstallClaudeDesktopEntry(options = {}) {
+  const configPath = options.configPath || claudeDesktopConfigPath();
+  const desktopConfig = readClaudeDesktopConfig(configPath);
+  const name = options.name || findClaudeDesktopEntry(desktopConfig, options.profile) || claudeDesktopEntry(options.profile).name;
+
+  if (!desktopConfig || !desktopConfig.mcpServers || !desktopConfig.mcpServers[name]) {
+    return { configPath, name, removed: null, backupPath: null, config: desktopConfig };
+  }
+
+  const { [name]: removed, ...servers } = desktopConfig.mcpServers;
+  const updated = { ...desktopConfig, mcpServers: servers };
+
+  let backupPath = null;
+  if (!options.dryRun) {
+    backupPath = backupFile(configPath);
+    writeJsonAtomic(configPath, updated);
+  }
+
+  return { configPath, name, removed, backupPath, config: updated };
+}
@@ -8,26 +8,52 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { createInterface } from 'readline';
-import { homedir } from 'os';
 import axios from 'axios';
 import { v4 as uuidv4 } from 'uuid';
+import { startMcpServer, RpcError, ErrorCodes } from './mcp-server.js';
+import { getTool, listTools, loadConfiguredTools } from './tools.js';
+import { runTool } from './tool-runner.js';
+import { getClientId, getClientState, endIdleSessions } from './session.js';
+import { endAllDirectSessions } from './direct.js';
+import { startRecording, startReplay } from './cassette.js';
+import {
+  claudeDesktopEntry,
+  claudeDesktopConfigPath,
+  installClaudeDesktopEntry,
+  uninstallClaudeDesktopEntry
+} from './claude-desktop.js';
+import { runDoctor } from './doctor.js';
+import { runChat } from './chat.js';
+import { runTests } from './test-runner.js';
+import { createMockServer, loadScenario, DEFAULT_SCENARIO } from './mock-server.js';
+import { listTranscripts, readTranscript, formatTranscript, TRANSCRIPT_FORMATS } from './transcripts.js';
+import { listResources, listResourceTemplates, readResource, watchResources } from './resources.js';
+import { getPrompt, listPrompts, preparePromptArgs, renderPrompt } from './prompts.js';
+import { formatErrors } from './schema.js';
+import { collectMetrics, summarizeMetrics, formatPrometheus, parseWindow, metricsSettings, writePrometheusFile } from './metrics.js';
+import { checkTransport, describeTransport, requestAgents, transportErrorHint } from './transport.js';
+import {
+  CONFIG_DIR,
+  CONFIG_PATH,
+  LOGS_DIR,
+  SECRETS_PATH,
+  loadConfig,
+  saveConfig,
+  selectProfile,
+  isProfileExplicit,
+  listProfiles,
+  setActiveProfile,
+  storeApiKey,
+  resolveApiKey
+} from './config.js';
+import { logger, configureLogger, captureConsole } from './logger.js';
 
 // Get current file's directory
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Configuration constants
-const CONFIG_DIR = path.join(homedir(), '.agentforce-reliable-client');
-const CONFIG_PATH = path.join(CONFIG_DIR, 'config.json');
-const LOGS_DIR = path.join(CONFIG_DIR, 'logs');
-const LOG_PATH = path.join(LOGS_DIR, `client-${new Date().toISOString().replace(/[:.]/g, '-')}.log`);
-
-// Default config
-const DEFAULT_CONFIG = {
-  serverUrl: 'http://localhost:3000',
-  apiKey: '',
-  clientId: `client-${Date.now()}`
-};
+// Package metadata
+const PACKAGE_INFO = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8'));
 
 // Colors for console output
 const colors = {
@@ -38,73 +64,100 @@ const colors = {
   reset: '\x1b[0m'
 };
 
-// Create readline interface
-const rl = createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// Shutdown of the MCP server, overridable through config.shutdown
+const DEFAULT_SHUTDOWN = {
+  timeoutMs: 10000,
+  endSessions: false
+};
 
-// Setup logging
-function setupLogging() {
-  try {
-    if (!fs.existsSync(LOGS_DIR)) {
-      fs.mkdirSync(LOGS_DIR, { recursive: true });
-    }
-    
-    // Create a write stream for the log file
-    const logStream = fs.createWriteStream(LOG_PATH, { flags: 'a' });
-    
-    // Override console methods to log to file
-    const originalConsoleLog = console.log;
-    const originalConsoleError = console.error;
-    const originalConsoleWarn = console.warn;
-    const originalConsoleInfo = console.info;
-    
-    console.log = function(...args) {
-      const timestamp = new Date().toISOString();
-      const logMessage = `[${timestamp}] [INFO] ${args.join(' ')}\n`;
-      logStream.write(logMessage);
-      originalConsoleLog.apply(console, args);
-    };
-    
-    console.error = function(...args) {
-      const timestamp = new Date().toISOString();
-      const logMessage = `[${timestamp}] [ERROR] ${args.join(' ')}\n`;
-      logStream.write(logMessage);
-      originalConsoleError.apply(console, args);
-    };
-    
-    console.warn = function(...args) {
-      const timestamp = new Date().toISOString();
-      const logMessage = `[${timestamp}] [WARN] ${args.join(' ')}\n`;
-      logStream.write(logMessage);
-      originalConsoleWarn.apply(console, args);
-    };
-    
-    console.info = function(...args) {
-      const timestamp = new Date().toISOString();
-      const logMessage = `[${timestamp}] [INFO] ${args.join(' ')}\n`;
-      logStream.write(logMessage);
-      originalConsoleInfo.apply(console, args);
-    };
-    
-    // Log initial message
-    console.log(`Logging initialized to ${LOG_PATH}`);
-    
-    // Setup cleanup on exit
-    process.on('exit', () => {
-      logStream.end();
-    });
+// Named sessions, overridable through config.sessions; idle ones are ended after idleTimeoutMs (0: never)
+const DEFAULT_SESSIONS = {
+  idleTimeoutMs: 30 * 60 * 1000
+};
+
+// How often the MCP server looks for idle named sessions
+const IDLE_SWEEP_INTERVAL_MS = 60000;
+
+// How often the MCP server rewrites metrics.prometheusFile
+const PROMETHEUS_EXPORT_INTERVAL_MS = 60000;
+
+// Readline interface, created on first prompt so stdin stays free for the MCP transport
+let rl = null;
+
+// Command-line flags that never take a value
+const BOOLEAN_FLAGS = new Set(['legacy', 'rotate-key', 'api-key-store', 'non-interactive', 'skip-verify', 'json', 'dry-run', 'list']);
+
+// Command-line options that may be given several times; their values are collected in an array
+const REPEATABLE_FLAGS = new Set(['env']);
+
+// Split command-line arguments into a command, positional arguments and --options
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
     
-    return true;
-  } catch (error) {
-    console.error('Error setting up logging:', error.message);
-    return false;
+    if (arg.startsWith('--')) {
+      const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      let value = true;
+      if (inlineValue !== undefined) {
+        value = inlineValue;
+      } else if (!BOOLEAN_FLAGS.has(key) && i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        value = argv[++i];
+      }
+      if (REPEATABLE_FLAGS.has(key)) {
+        options[key] = [...(options[key] || []), value];
+      } else {
+        options[key] = value;
+      }
+    } else {
+      positionals.push(arg);
+    }
   }
+  
+  return {
+    command: positionals[0],
+    positionals: positionals.slice(1),
+    options
+  };
+}
+
+// Setup logging
+// Server mode mirrors log lines to stderr and captures console output, keeping stdout for protocol messages only
+function setupLogging(serverMode) {
+  configureLogger({
+    dir: LOGS_DIR,
+    level: process.env.AGENTFORCE_LOG_LEVEL,
+    stderr: serverMode
+  });
+  
+  if (serverMode) {
+    captureConsole();
+  }
+  
+  const logging = loadConfig().logging || {};
+  
+  const state = configureLogger({
+    level: process.env.AGENTFORCE_LOG_LEVEL || logging.level,
+    maxBytes: logging.maxBytes,
+    maxFiles: logging.maxFiles,
+    retentionDays: logging.retentionDays,
+    stderr: serverMode && logging.stderr !== false
+  });
+  
+  logger.debug('Logging initialized', { file: state.filePath, logLevel: state.level });
 }
 
 // Prompt helper function
 function prompt(question) {
+  if (!rl) {
+    rl = createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+  }
+  
   return new Promise((resolve) => {
     rl.question(question, (answer) => {
       resolve(answer);
@@ -112,97 +165,225 @@ function prompt(question) {
   });
 }
 
-// Ensure config directory exists
-function ensureConfigDir() {
-  if (!fs.existsSync(CONFIG_DIR)) {
-    fs.mkdirSync(CONFIG_DIR, { recursive: true });
-    console.log(`Created config directory: ${CONFIG_DIR}`);
-  }
+// Print the Claude Desktop config snippet for a profile
+function printClaudeDesktopConfig(profileName) {
+  console.log('');
+  console.log(`${colors.blue}Claude Desktop Integration:${colors.reset}`);
+  console.log('Add the following to your Claude Desktop config file:');
+  console.log('');
+  const entry = claudeDesktopEntry(profileName);
+  console.log(`${colors.yellow}{${colors.reset}`);
+  console.log(`${colors.yellow}  "mcpServers": {${colors.reset}`);
+  console.log(`${colors.yellow}    "${entry.name}": {${colors.reset}`);
+  console.log(`${colors.yellow}      "command": "${entry.command}",${colors.reset}`);
+  console.log(`${colors.yellow}      "args": ${JSON.stringify(entry.args).replace(/,/g, ', ')}${colors.reset}`);
+  console.log(`${colors.yellow}    }${colors.reset}`);
+  console.log(`${colors.yellow}  }${colors.reset}`);
+  console.log(`${colors.yellow}}${colors.reset}`);
+  console.log('');
+  const profileArg = profileName && profileName !== listProfiles().active ? ` --profile ${profileName}` : '';
+  console.log(`Or let the tool add it: ${colors.blue}npx agentforce-reliable-tool install-claude${profileArg}${colors.reset}`);
 }
 
-// Load config
-function loadConfig() {
-  ensureConfigDir();
-  
-  if (fs.existsSync(CONFIG_PATH)) {
-    try {
-      const configData = fs.readFileSync(CONFIG_PATH, 'utf8');
-      try {
-        const config = JSON.parse(configData);
-        console.log('Successfully loaded configuration');
-        return config;
-      } catch (parseError) {
-        console.error(`${colors.red}Error parsing configuration:${colors.reset}`, parseError.message);
-        console.error(`${colors.yellow}Raw config data:${colors.reset}`, configData);
-        console.log('Using default configuration instead');
-        return { ...DEFAULT_CONFIG };
-      }
-    } catch (error) {
-      console.error(`${colors.red}Error loading config:${colors.reset}`, error.message);
-    }
-  } else {
-    console.log('No configuration file found, using defaults');
+// Exit codes of the configure command
+const CONFIGURE_EXIT = {
+  OK: 0,
+  SAVE_FAILED: 1,
+  INVALID_INPUT: 2,
+  VERIFY_FAILED: 3
+};
+
+// Close the prompt interface, if one was opened
+function closePrompt() {
+  if (rl) {
+    rl.close();
+    rl = null;
   }
-  
-  return { ...DEFAULT_CONFIG };
 }
 
-// Save config
-function saveConfig(config) {
-  ensureConfigDir();
-  try {
-    fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2), 'utf8');
-    console.log(`Configuration saved to ${CONFIG_PATH}`);
-    return true;
-  } catch (error) {
-    console.error(`Error saving configuration: ${error.message}`);
-    return false;
+// Apply the proxy and TLS options of configure to a profile
+// proxy "none" turns off the HTTPS_PROXY/HTTP_PROXY environment variables for the profile
+function applyNetworkOptions(config, options) {
+  if (options.proxy !== undefined) {
+    config.proxy = options.proxy === 'none' ? false : options.proxy;
+  }
+  if (options.noProxy !== undefined) {
+    config.noProxy = options.noProxy;
+  }
+  for (const field of ['ca', 'cert', 'key']) {
+    if (options[field] !== undefined) {
+      config.tls = { ...(config.tls || {}), [field]: path.resolve(options[field]) };
+    }
   }
 }
 
 // Configure the client
-async function configureClient() {
+// options: { mode, rotateKey, apiKeyEnv, apiKeyCommand, apiKeyStore, serverUrl, apiKey, nonInteractive, skipVerify,
+//   proxy, noProxy, ca, cert, key }
+// Values not given as options come from AGENTFORCE_SERVER_URL / AGENTFORCE_API_KEY, then prompts
+// (never in non-interactive mode). Resolves with one of CONFIGURE_EXIT.
+async function configureClient(profileName, options = {}) {
   console.log(`${colors.blue}AgentForce Reliable Tool Configuration${colors.reset}`);
   console.log('');
   
   // Load existing config
-  const config = loadConfig();
+  const config = loadConfig(profileName);
+  const nonInteractive = Boolean(options.nonInteractive);
+  const givenServerUrl = options.serverUrl || process.env.AGENTFORCE_SERVER_URL;
+  const givenApiKey = options.apiKey || process.env.AGENTFORCE_API_KEY;
   
-  console.log(`${colors.yellow}Enter your server connection details:${colors.reset}`);
-  console.log('(Press Enter to keep existing values in brackets)');
+  console.log(`${colors.blue}Profile: ${config.profile}${colors.reset}`);
   console.log('');
   
+  if (options.mode) {
+    config.mode = options.mode;
+  }
+  
+  // Proxy and certificate files are checked before anything is saved
+  applyNetworkOptions(config, options);
+  const networkProblems = checkTransport(config);
+  if (networkProblems.length > 0) {
+    for (const problem of networkProblems) {
+      console.error(`${colors.red}Invalid network setting: ${problem}${colors.reset}`);
+    }
+    return CONFIGURE_EXIT.INVALID_INPUT;
+  }
+  
+  // Direct mode talks to Salesforce itself: there is no server to point at or verify
+  if (config.mode === 'direct') {
+    if (!saveConfig(config)) {
+      console.error(`${colors.red}Error saving configuration to ${CONFIG_PATH}${colors.reset}`);
+      return CONFIGURE_EXIT.SAVE_FAILED;
+    }
+    console.log(`${colors.green}Configuration saved to ${CONFIG_PATH}${colors.reset}`);
+    console.log(`${colors.green}✓ Profile runs in direct mode against the Salesforce Agent API${colors.reset}`);
+    for (const line of describeTransport(config, 'https://api.salesforce.com')) {
+      console.log(`${colors.green}✓ ${line}${colors.reset}`);
+    }
+    console.log('Salesforce settings are read from SF_API_URL, SF_AGENT_ID, SF_CLIENT_ID and SF_CLIENT_SECRET');
+    console.log('(or from "agent" in config.json, or the agentforce_authenticate arguments)');
+    printClaudeDesktopConfig(config.profile);
+    return CONFIGURE_EXIT.OK;
+  }
+  
+  // One API key source: an environment variable, a command, or the secret store (--api-key,
+  // --rotate-key or --api-key-store); picking one removes the others
+  const storeApiKeyLocally = Boolean(options.apiKeyStore || options.apiKey || options.rotateKey);
+  if ([options.apiKeyEnv, options.apiKeyCommand, storeApiKeyLocally].filter(Boolean).length > 1) {
+    console.error(`${colors.red}Choose one API key source: --api-key-env, --api-key-command, or --api-key / --rotate-key / --api-key-store${colors.reset}`);
+    return CONFIGURE_EXIT.INVALID_INPUT;
+  }
+  if (options.apiKeyEnv) {
+    config.apiKeyEnv = options.apiKeyEnv;
+    config.apiKeyCommand = null;
+  }
+  if (options.apiKeyCommand) {
+    config.apiKeyCommand = options.apiKeyCommand;
+    config.apiKeyEnv = null;
+  }
+  if (storeApiKeyLocally && (config.apiKeyEnv || config.apiKeyCommand)) {
+    config.apiKeyEnv = null;
+    config.apiKeyCommand = null;
+    // What the secret store holds, if anything, rather than what the old source returned
+    config.apiKey = resolveApiKey(config.profile, {});
+  }
+  
+  if (!nonInteractive) {
+    if (options.rotateKey) {
+      console.log(`${colors.yellow}Enter the new server API key for this profile:${colors.reset}`);
+    } else {
+      console.log(`${colors.yellow}Enter your server connection details:${colors.reset}`);
+      console.log('(Press Enter to keep existing values in brackets)');
+    }
+    console.log('');
+  }
+  
   // Server URL
-  const serverUrl = await prompt(`Server URL ${config.serverUrl ? `[${config.serverUrl}]` : ''}: `);
-  if (serverUrl) {
-    config.serverUrl = serverUrl;
-  } else if (!config.serverUrl) {
+  if (givenServerUrl) {
+    config.serverUrl = givenServerUrl;
+  } else if (!options.rotateKey && !nonInteractive) {
+    const serverUrl = await prompt(`Server URL ${config.serverUrl ? `[${config.serverUrl}]` : ''}: `);
+    if (serverUrl) {
+      config.serverUrl = serverUrl;
+    }
+  }
+  if (!config.serverUrl) {
     config.serverUrl = 'http://localhost:3000';
   }
+  try {
+    new URL(config.serverUrl);
+  } catch (error) {
+    console.error(`${colors.red}Invalid server URL: ${config.serverUrl}${colors.reset}`);
+    return CONFIGURE_EXIT.INVALID_INPUT;
+  }
   
-  // API Key
-  const apiKey = await prompt(`Server API Key ${config.apiKey ? `[${config.apiKey.substring(0, 8)}...]` : ''}: `);
-  if (apiKey) {
-    config.apiKey = apiKey;
+  // API Key: read at runtime when it comes from an env var or a command, otherwise kept in the secret store
+  let apiKey = '';
+  if (config.apiKeyEnv || config.apiKeyCommand) {
+    const source = config.apiKeyEnv ? `environment variable ${config.apiKeyEnv}` : `command: ${config.apiKeyCommand}`;
+    console.log(`API key is read at runtime from ${source}`);
+    if (options.rotateKey) {
+      console.log(`${colors.yellow}Rotate the key at its source; nothing is stored locally${colors.reset}`);
+    }
+  } else if (givenApiKey) {
+    apiKey = givenApiKey;
+  } else if (nonInteractive) {
+    if (options.rotateKey || !config.apiKey) {
+      console.error(`${colors.red}No API key given: pass --api-key or set AGENTFORCE_API_KEY${colors.reset}`);
+      return CONFIGURE_EXIT.INVALID_INPUT;
+    }
+  } else {
+    const existing = config.apiKey ? '[stored]' : '';
+    while (!apiKey) {
+      apiKey = await prompt(`Server API Key ${existing}: `);
+      if (apiKey || !options.rotateKey) {
+        break;
+      }
+      console.log(`${colors.yellow}A new key is required to rotate${colors.reset}`);
+    }
   }
   
   // Save config
-  saveConfig(config);
-  
   console.log('');
+  if (!saveConfig(config)) {
+    console.error(`${colors.red}Error saving configuration to ${CONFIG_PATH}${colors.reset}`);
+    return CONFIGURE_EXIT.SAVE_FAILED;
+  }
   console.log(`${colors.green}Configuration saved to ${CONFIG_PATH}${colors.reset}`);
+  
+  if (apiKey) {
+    try {
+      storeApiKey(config.profile, apiKey);
+      console.log(`${colors.green}API key ${options.rotateKey ? 'rotated and ' : ''}stored encrypted in ${SECRETS_PATH}${colors.reset}`);
+    } catch (error) {
+      console.error(`${colors.red}Error storing API key:${colors.reset}`, error.message);
+      return CONFIGURE_EXIT.SAVE_FAILED;
+    }
+  }
+  
+  if (options.skipVerify) {
+    printClaudeDesktopConfig(config.profile);
+    return CONFIGURE_EXIT.OK;
+  }
+  
+  // Verify with the key as it will be resolved at runtime
+  config.apiKey = loadConfig(config.profile).apiKey;
   console.log('');
   
   // Verify connection
   try {
     console.log(`${colors.blue}Verifying connection to server...${colors.reset}`);
+    for (const line of describeTransport(config, config.serverUrl)) {
+      console.log(`${colors.blue}  ${line}${colors.reset}`);
+    }
     
     const response = await axios.get(config.serverUrl, {
       headers: {
         'x-api-key': config.apiKey,
         'x-request-id': uuidv4()
       },
-      timeout: 5000 // 5-second timeout
+      timeout: 5000, // 5-second timeout
+      ...requestAgents(config, config.serverUrl)
     });
     
     console.log(`${colors.green}✓ Connected to server: ${response.data.name} v${response.data.version}${colors.reset}`);
@@ -212,22 +393,21 @@ async function configureClient() {
       console.log(`${colors.green}✓ Server running in direct mode${colors.reset}`);
     }
     
+    printClaudeDesktopConfig(config.profile);
     console.log('');
-    console.log(`${colors.blue}Claude Desktop Integration:${colors.reset}`);
-    console.log('Add the following to your Claude Desktop config file:');
-    console.log('');
-    console.log(`${colors.yellow}{${colors.reset}`);
-    console.log(`${colors.yellow}  "mcpServers": {${colors.reset}`);
-    console.log(`${colors.yellow}    "agentforce": {${colors.reset}`);
-    console.log(`${colors.yellow}      "command": "npx",${colors.reset}`);
-    console.log(`${colors.yellow}      "args": ["agentforce-reliable-tool"]${colors.reset}`);
-    console.log(`${colors.yellow}    }${colors.reset}`);
-    console.log(`${colors.yellow}  }${colors.reset}`);
-    console.log(`${colors.yellow}}${colors.reset}`);
+    console.log(`Run ${colors.blue}npx agentforce-reliable-tool doctor${colors.reset} for a full check`);
+    return CONFIGURE_EXIT.OK;
     
   } catch (error) {
     console.error(`${colors.red}✗ Error connecting to server:${colors.reset}`, error.message);
     
+    // Proxy and certificate problems are not fixed by starting the server
+    const hint = transportErrorHint(error);
+    if (hint) {
+      console.error(`${colors.yellow}${hint}${colors.reset}`);
+      return CONFIGURE_EXIT.VERIFY_FAILED;
+    }
+    
     if (axios.isAxiosError(error)) {
       if (error.code === 'ECONNREFUSED') {
         console.error(`${colors.yellow}The server at ${config.serverUrl} is not running or not accessible${colors.reset}`);
@@ -240,298 +420,404 @@ async function configureClient() {
     
     console.error(`${colors.yellow}Please ensure the server is running at ${config.serverUrl}${colors.reset}`);
     console.error(`${colors.yellow}You can start it with: npx agentforce-reliable-server --direct${colors.reset}`);
+    return CONFIGURE_EXIT.VERIFY_FAILED;
   }
-  
-  rl.close();
 }
 
-// MCP Tool client functions
-async function authenticateWithAgentForce(args) {
-  console.log('Authenticating with AgentForce');
-  console.log(`Client ID: ${args.clientId}`);
-  console.log(`Agent ID: ${args.config.agentId}`);
+// Add (or with "uninstall", remove) this tool's entry in the Claude Desktop config
+// Returns the exit code
+function installClaude(subcommand, options) {
+  const profileName = loadConfig(typeof options.profile === 'string' ? options.profile : undefined).profile;
+  const installOptions = {
+    configPath: typeof options['config-path'] === 'string' ? path.resolve(options['config-path']) : undefined,
+    profile: profileName,
+    name: typeof options.name === 'string' ? options.name : undefined,
+    dryRun: Boolean(options['dry-run'])
+  };
+  if (subcommand !== 'uninstall' && !listProfiles().profiles[profileName]) {
+    console.log(`${colors.yellow}Profile "${profileName}" is not configured yet; create it with: npx agentforce-reliable-tool configure --profile ${profileName}${colors.reset}`);
+  }
+  const dryRunNote = installOptions.dryRun ? ` ${colors.yellow}(dry run, nothing written)${colors.reset}` : '';
+  
+  if (subcommand && subcommand !== 'uninstall') {
+    console.error(`${colors.red}Usage: agentforce-reliable-tool install-claude [uninstall] [--profile <name>] [--name <entry>] [--env KEY=VALUE] [--config-path <file>] [--dry-run]${colors.reset}`);
+    return 1;
+  }
   
   try {
-    const config = loadConfig();
-    const requestId = uuidv4();
-    
-    console.log(`Making request to: ${config.serverUrl}/mcp/call-tool`);
-    console.log(`Request ID: ${requestId}`);
-    
-    const response = await axios.post(`${config.serverUrl}/mcp/call-tool`, {
-      tool: {
-        name: 'agentforce_authenticate',
-        args: args
+    if (subcommand === 'uninstall') {
+      const result = uninstallClaudeDesktopEntry(installOptions);
+      if (!result.removed) {
+        console.log(`${colors.yellow}No entry "${result.name}" in ${result.configPath}${colors.reset}`);
+        return 0;
       }
-    }, {
-      headers: {
-        'x-api-key': config.apiKey,
-        'x-request-id': requestId,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000 // 30-second timeout
-    });
-    
-    console.log('Authentication successful');
-    return response.data.result;
-  } catch (error) {
-    console.error('Authentication error:', error.message);
-    
-    if (axios.isAxiosError(error)) {
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', error.response.data);
-      } else if (error.request) {
-        console.error('No response received from server');
-      } else {
-        console.error('Error setting up request:', error.message);
+      console.log(`${colors.green}✓ Removed entry "${result.name}" from ${result.configPath}${colors.reset}${dryRunNote}`);
+      if (result.backupPath) {
+        console.log(`Backup saved to ${result.backupPath}`);
       }
+      return 0;
     }
     
-    // Return a properly formatted error result
-    return {
-      content: [{
-        type: 'text',
-        text: `Authentication failed: ${error.message}`
-      }],
-      error: {
-        code: 'authentication_error',
-        message: error.message
+    const env = {};
+    for (const pair of options.env || []) {
+      const separator = String(pair).indexOf('=');
+      if (separator < 1) {
+        console.error(`${colors.red}Invalid --env ${pair}: expected KEY=VALUE${colors.reset}`);
+        return 1;
       }
-    };
+      env[pair.slice(0, separator)] = pair.slice(separator + 1);
+    }
+    
+    const result = installClaudeDesktopEntry({ ...installOptions, env });
+    if (installOptions.dryRun) {
+      console.log(`${colors.blue}${result.configPath} would become:${colors.reset}`);
+      console.log(JSON.stringify(result.config, null, 2));
+    }
+    if (!result.changed) {
+      console.log(`${colors.green}✓ Entry "${result.name}" in ${result.configPath} is already up to date${colors.reset}`);
+      return 0;
+    }
+    console.log(`${colors.green}✓ ${result.previous ? 'Updated' : 'Added'} entry "${result.name}" in ${result.configPath}${colors.reset}${dryRunNote}`);
+    if (result.backupPath) {
+      console.log(`Backup saved to ${result.backupPath}`);
+    }
+    if (!installOptions.dryRun) {
+      console.log(`${colors.yellow}Restart Claude Desktop to load the new entry${colors.reset}`);
+    }
+    return 0;
+  } catch (error) {
+    console.error(`${colors.red}Error updating ${installOptions.configPath || claudeDesktopConfigPath()}:${colors.reset}`, error.message);
+    return 1;
   }
 }
 
-async function createAgentForceSession(args) {
-  console.log('Creating AgentForce session');
-  console.log(`Client ID: ${args.clientId}`);
+// Symbols for doctor check results
+const CHECK_MARKS = {
+  pass: `${colors.green}✓`,
+  warn: `${colors.yellow}!`,
+  skip: `${colors.blue}-`,
+  fail: `${colors.red}✗`
+};
+
+// Run the doctor checks and print a report; returns the exit code
+async function runDoctorCommand(options) {
+  const report = await runDoctor({
+    profile: typeof options.profile === 'string' ? options.profile : undefined,
+    timeout: options.timeout !== undefined ? Number(options.timeout) : undefined
+  });
   
-  try {
-    const config = loadConfig();
-    const requestId = uuidv4();
-    
-    console.log(`Making request to: ${config.serverUrl}/mcp/call-tool`);
-    console.log(`Request ID: ${requestId}`);
-    
-    const response = await axios.post(`${config.serverUrl}/mcp/call-tool`, {
-      tool: {
-        name: 'agentforce_create_session',
-        args: args
-      }
-    }, {
-      headers: {
-        'x-api-key': config.apiKey,
-        'x-request-id': requestId,
-        'Content-Type': 'application/json'
-      },
-      timeout: 60000 // 60-second timeout
-    });
-    
-    console.log('Session creation successful');
-    return response.data.result;
-  } catch (error) {
-    console.error('Session creation error:', error.message);
-    
-    if (axios.isAxiosError(error)) {
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', error.response.data);
-      } else if (error.request) {
-        console.error('No response received from server');
-      } else {
-        console.error('Error setting up request:', error.message);
-      }
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`${colors.blue}AgentForce Reliable Tool Doctor (profile: ${report.profile})${colors.reset}`);
+    console.log('');
+    for (const item of report.checks) {
+      console.log(`${CHECK_MARKS[item.status]} ${item.name}: ${item.message}${colors.reset}`);
     }
-    
-    // Return a properly formatted error result
-    return {
-      content: [{
-        type: 'text',
-        text: `Session creation failed: ${error.message}`
-      }],
-      error: {
-        code: 'session_creation_error',
-        message: error.message
-      }
-    };
+    console.log('');
+    console.log(report.ok
+      ? `${colors.green}All checks passed${colors.reset}`
+      : `${colors.red}Some checks failed${colors.reset}`);
   }
+  
+  return report.ok ? 0 : 1;
 }
 
-async function sendMessageToAgentForce(args) {
-  console.log('Sending message to AgentForce');
-  console.log(`Client ID: ${args.clientId}`);
-  console.log(`Message length: ${args.message.length} characters`);
+// List or switch server profiles
+function manageProfiles(subcommand, name) {
+  if (subcommand === 'use') {
+    if (!name) {
+      console.error(`${colors.red}Usage: agentforce-reliable-tool profiles use <name>${colors.reset}`);
+      return 1;
+    }
+    if (!setActiveProfile(name)) {
+      console.error(`${colors.red}Profile not found: ${name}${colors.reset}`);
+      console.error(`${colors.yellow}Create it with: npx agentforce-reliable-tool configure --profile ${name}${colors.reset}`);
+      return 1;
+    }
+    console.log(`${colors.green}Active profile: ${name}${colors.reset}`);
+    return 0;
+  }
   
-  try {
-    const config = loadConfig();
-    const requestId = uuidv4();
-    
-    console.log(`Making request to: ${config.serverUrl}/mcp/call-tool`);
-    console.log(`Request ID: ${requestId}`);
-    
-    const startTime = Date.now();
-    
-    const response = await axios.post(`${config.serverUrl}/mcp/call-tool`, {
-      tool: {
-        name: 'agentforce_send_message',
-        args: args
-      }
-    }, {
-      headers: {
-        'x-api-key': config.apiKey,
-        'x-request-id': requestId,
-        'Content-Type': 'application/json'
-      },
-      timeout: 300000 // 5-minute timeout
-    });
-    
-    const endTime = Date.now();
-    const responseTime = endTime - startTime;
-    
-    console.log(`Message sending successful, took ${responseTime}ms`);
-    const responseText = response.data.result.content[0].text;
-    console.log(`Response length: ${responseText.length} characters`);
-    
-    return response.data.result;
-  } catch (error) {
-    console.error('Message sending error:', error.message);
-    
-    if (axios.isAxiosError(error)) {
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', error.response.data);
-      } else if (error.request) {
-        console.error('No response received from server');
-      } else {
-        console.error('Error setting up request:', error.message);
-      }
+  if (subcommand && subcommand !== 'list') {
+    console.error(`${colors.red}Unknown profiles command: ${subcommand}${colors.reset}`);
+    console.error('Usage: agentforce-reliable-tool profiles [list | use <name>]');
+    return 1;
+  }
+  
+  const { active, profiles } = listProfiles();
+  const names = Object.keys(profiles);
+  
+  if (names.length === 0) {
+    console.log(`${colors.yellow}No profiles configured. Run: npx agentforce-reliable-tool configure${colors.reset}`);
+    return 0;
+  }
+  
+  for (const profileName of names) {
+    const marker = profileName === active ? `${colors.green}*` : ' ';
+    console.log(`${marker} ${profileName}${colors.reset}  ${profiles[profileName].serverUrl || ''}`);
+  }
+  return 0;
+}
+
+// List transcripts, or write one session's transcript to stdout or a file; returns the exit code
+// The format defaults to the output file's extension, then Markdown
+function exportTranscript(sessionId, options) {
+  const config = loadConfig();
+  const transcripts = listTranscripts(config);
+  
+  if (options.list) {
+    if (transcripts.length === 0) {
+      console.log(`${colors.yellow}No transcripts for profile ${config.profile}${colors.reset}`);
     }
-    
-    // Return a properly formatted error result
-    return {
-      content: [{
-        type: 'text',
-        text: `Message sending failed: ${error.message}`
-      }],
-      error: {
-        code: 'message_sending_error',
-        message: error.message
-      }
-    };
+    for (const transcript of transcripts) {
+      console.log(`${transcript.sessionId}  ${transcript.modifiedAt.toISOString()}`);
+    }
+    return 0;
+  }
+  
+  const output = typeof options.output === 'string' ? options.output : undefined;
+  const format = typeof options.format === 'string'
+    ? options.format
+    : (output && TRANSCRIPT_FORMATS[path.extname(output).slice(1).toLowerCase()]) || 'md';
+  if (!TRANSCRIPT_FORMATS[format]) {
+    console.error(`${colors.red}Invalid --format: ${format} (expected md, json or csv)${colors.reset}`);
+    return 2;
+  }
+  
+  const id = sessionId || (transcripts[0] && transcripts[0].sessionId);
+  const turns = id ? readTranscript(config, id) : null;
+  if (!turns) {
+    console.error(`${colors.red}${id ? `No transcript for session ${id}` : `No transcripts for profile ${config.profile}`}${colors.reset}`);
+    return 1;
+  }
+  
+  const content = formatTranscript(turns, format, id);
+  if (!output) {
+    process.stdout.write(content);
+    return 0;
   }
+  fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+  fs.writeFileSync(output, content, 'utf8');
+  console.log(`${colors.green}Exported ${turns.length} turns of session ${id} to ${output}${colors.reset}`);
+  return 0;
 }
 
-async function getAgentForceStatus(args) {
-  console.log('Getting AgentForce status');
-  console.log(`Client ID: ${args.clientId}`);
+// Print tool call metrics as a table, JSON or Prometheus text, to stdout or a file; returns the exit code
+function showStats(options) {
+  const config = loadConfig();
+  let since = null;
+  if (typeof options.since === 'string') {
+    try {
+      since = parseWindow(options.since);
+    } catch (error) {
+      console.error(`${colors.red}Invalid --since: ${options.since} (expected e.g. 30m, 24h, 7d or a date)${colors.reset}`);
+      return 2;
+    }
+  }
+  const format = typeof options.format === 'string' ? options.format : (options.json ? 'json' : 'table');
+  if (!['table', 'json', 'prometheus'].includes(format)) {
+    console.error(`${colors.red}Invalid --format: ${format} (expected table, json or prometheus)${colors.reset}`);
+    return 2;
+  }
   
-  try {
-    const config = loadConfig();
-    const requestId = uuidv4();
-    
-    console.log(`Making request to: ${config.serverUrl}/mcp/call-tool`);
-    console.log(`Request ID: ${requestId}`);
-    
-    const response = await axios.post(`${config.serverUrl}/mcp/call-tool`, {
-      tool: {
-        name: 'agentforce_get_status',
-        args: args
-      }
-    }, {
-      headers: {
-        'x-api-key': config.apiKey,
-        'x-request-id': requestId,
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000 // 10-second timeout
-    });
-    
-    console.log('Status check successful');
-    return response.data.result;
-  } catch (error) {
-    console.error('Status check error:', error.message);
-    
-    if (axios.isAxiosError(error)) {
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', error.response.data);
-      } else if (error.request) {
-        console.error('No response received from server');
-      } else {
-        console.error('Error setting up request:', error.message);
-      }
+  const collected = collectMetrics(config, { since, tool: typeof options.tool === 'string' ? options.tool : undefined });
+  const output = typeof options.output === 'string' ? options.output : undefined;
+  
+  if (format !== 'table') {
+    const content = format === 'json'
+      ? JSON.stringify(summarizeMetrics(collected), null, 2) + '\n'
+      : formatPrometheus(collected);
+    if (!output) {
+      process.stdout.write(content);
+      return 0;
     }
-    
-    // Return a properly formatted error result
-    return {
-      content: [{
-        type: 'text',
-        text: `Status check failed: ${error.message}`
-      }],
-      error: {
-        code: 'status_check_error',
-        message: error.message
-      }
-    };
+    fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+    fs.writeFileSync(output, content, 'utf8');
+    console.log(`${colors.green}Metrics written to ${output}${colors.reset}`);
+    return 0;
+  }
+  
+  const report = summarizeMetrics(collected);
+  console.log(`${colors.blue}AgentForce tool metrics (profile: ${report.profile}${report.since ? `, since ${report.since}` : ''})${colors.reset}`);
+  console.log('');
+  if (report.tools.length === 0) {
+    console.log(`${colors.yellow}No tool calls recorded${colors.reset}`);
+    return 0;
+  }
+  
+  const ms = (value) => (value === null ? '-' : `${value} ms`);
+  const row = (name, stats) => [
+    name.padEnd(34),
+    String(stats.count).padStart(6),
+    `${(stats.errorRate * 100).toFixed(1)}%`.padStart(7),
+    ms(stats.latencyMs.p50).padStart(10),
+    ms(stats.latencyMs.p95).padStart(10),
+    ms(stats.latencyMs.p99).padStart(10)
+  ].join(' ');
+  
+  console.log(['Tool'.padEnd(34), 'Calls'.padStart(6), 'Errors'.padStart(7), 'p50'.padStart(10), 'p95'.padStart(10), 'p99'.padStart(10)].join(' '));
+  for (const stats of report.tools) {
+    const color = stats.errorRate > 0 ? colors.yellow : '';
+    console.log(`${color}${row(stats.tool, stats)}${color ? colors.reset : ''}`);
+  }
+  if (report.tools.length > 1) {
+    console.log(row('total', report.total));
+  }
+  
+  const codes = Object.entries(report.total.errorsByCode).sort((a, b) => b[1] - a[1]);
+  if (codes.length > 0) {
+    console.log('');
+    console.log(`Errors by code: ${codes.map(([code, count]) => `${code} ${count}`).join(', ')}`);
+  }
+  return 0;
+}
+
+// Dispatch an MCP tools/call request to its handler
+async function callTool(name, args, options) {
+  if (!getTool(name)) {
+    throw new RpcError(ErrorCodes.INVALID_PARAMS, `Unknown tool: ${name}`);
+  }
+  
+  logger.info('Tool called', { tool: name });
+  return runTool(name, args, options);
+}
+
+// Render an MCP prompts/get request from its template
+async function getPromptMessages(name, args) {
+  const prompt = getPrompt(name);
+  if (!prompt) {
+    throw new RpcError(ErrorCodes.INVALID_PARAMS, `Unknown prompt: ${name}`);
+  }
+  
+  const { values, errors } = preparePromptArgs(prompt, args);
+  if (errors.length > 0) {
+    throw new RpcError(ErrorCodes.INVALID_PARAMS, `Invalid arguments for prompt ${name}: ${formatErrors(errors)}`, errors);
   }
+  
+  logger.info('Prompt requested', { prompt: name });
+  return renderPrompt(prompt, values);
 }
 
-async function resetAgentForceClient(args) {
-  console.log('Resetting AgentForce client');
-  console.log(`Client ID: ${args.clientId}`);
+// Run the mock Reliable Server until interrupted
+async function runMockServer(options) {
+  let scenario = DEFAULT_SCENARIO;
+  if (typeof options.scenario === 'string') {
+    try {
+      scenario = loadScenario(options.scenario);
+    } catch (error) {
+      console.error(`${colors.red}Error loading scenario ${options.scenario}:${colors.reset}`, error.message);
+      return 1;
+    }
+  }
+  
+  const overrides = {};
+  if (options.latency !== undefined) {
+    const [min, max] = String(options.latency).split('-').map(Number);
+    overrides.latencyMs = max === undefined ? min : [min, max];
+  }
+  if (typeof options['api-key'] === 'string') {
+    overrides.apiKey = options['api-key'];
+  }
+  if (options['session-ttl'] !== undefined) {
+    overrides.sessionTtlMs = Number(options['session-ttl']);
+  }
+  
+  const mock = createMockServer({
+    scenario: { ...scenario, ...overrides },
+    version: PACKAGE_INFO.version,
+    log: (level, message) => console.log(`${level === 'error' ? colors.red : colors.blue}[mock] ${message}${colors.reset}`)
+  });
   
   try {
-    const config = loadConfig();
-    const requestId = uuidv4();
-    
-    console.log(`Making request to: ${config.serverUrl}/mcp/call-tool`);
-    console.log(`Request ID: ${requestId}`);
-    
-    const response = await axios.post(`${config.serverUrl}/mcp/call-tool`, {
-      tool: {
-        name: 'agentforce_reset',
-        args: args
-      }
-    }, {
-      headers: {
-        'x-api-key': config.apiKey,
-        'x-request-id': requestId,
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000 // 10-second timeout
-    });
-    
-    console.log('Reset successful');
-    return response.data.result;
+    const url = await mock.listen(Number(options.port || 3000), typeof options.host === 'string' ? options.host : '127.0.0.1');
+    console.log(`${colors.green}✓ Mock Reliable Server listening on ${url} (scenario: ${scenario.name})${colors.reset}`);
+    console.log(`Point a profile at it with: npx agentforce-reliable-tool configure --profile mock`);
   } catch (error) {
-    console.error('Reset error:', error.message);
-    
-    if (axios.isAxiosError(error)) {
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', error.response.data);
-      } else if (error.request) {
-        console.error('No response received from server');
-      } else {
-        console.error('Error setting up request:', error.message);
+    console.error(`${colors.red}Error starting mock server:${colors.reset}`, error.message);
+    return 1;
+  }
+  
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  await mock.close();
+  return 0;
+}
+
+// Run as a long-lived MCP server over stdio (JSON-RPC 2.0)
+function runMcpServer() {
+  logger.info('Starting MCP server', { name: PACKAGE_INFO.name, version: PACKAGE_INFO.version });
+  const shutdown = { ...DEFAULT_SHUTDOWN, ...(loadConfig().shutdown || {}) };
+  
+  const server = startMcpServer({
+    serverInfo: {
+      name: PACKAGE_INFO.name,
+      version: PACKAGE_INFO.version
+    },
+    listTools,
+    callTool,
+    listResources,
+    listResourceTemplates,
+    readResource,
+    listPrompts,
+    getPrompt: getPromptMessages,
+    log: (level, message) => logger[level](message),
+    drainTimeoutMs: shutdown.timeoutMs,
+    onClose: async () => {
+      const config = loadConfig();
+      // Direct mode sessions live in this process; end them rather than leave them to time out
+      await endAllDirectSessions(config);
+      if (shutdown.endSessions && config.mode !== 'direct' && getClientState(config, getClientId(config)).session) {
+        logger.info('Ending the agent session on shutdown');
+        await runTool('agentforce_reset', {});
       }
+      logger.info('Shutdown complete');
+      process.exit(0);
     }
-    
-    // Return a properly formatted error result
-    return {
-      content: [{
-        type: 'text',
-        text: `Reset failed: ${error.message}`
-      }],
-      error: {
-        code: 'reset_error',
-        message: error.message
+  });
+  
+  // SIGINT/SIGTERM finish (or, after the timeout, abort) pending calls before exiting; a second signal exits at once
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      logger.info('Received signal, shutting down', { signal });
+      server.close();
+    });
+  }
+  
+  // End named sessions nobody has used for a while
+  const { idleTimeoutMs } = { ...DEFAULT_SESSIONS, ...(loadConfig().sessions || {}) };
+  if (idleTimeoutMs > 0) {
+    const sweep = setInterval(() => {
+      endIdleSessions(loadConfig(), idleTimeoutMs, (name, args) => runTool(name, args)).catch((error) => {
+        logger.error('Error ending idle sessions', { error });
+      });
+    }, Math.min(IDLE_SWEEP_INTERVAL_MS, idleTimeoutMs));
+    sweep.unref();
+  }
+  
+  // Keep the Prometheus file current for a textfile collector
+  const { prometheusFile } = metricsSettings(loadConfig());
+  if (prometheusFile) {
+    const exportMetrics = setInterval(() => {
+      try {
+        writePrometheusFile(loadConfig(), prometheusFile);
+      } catch (error) {
+        logger.error('Error writing Prometheus metrics', { file: prometheusFile, error });
       }
-    };
+    }, PROMETHEUS_EXPORT_INTERVAL_MS);
+    exportMetrics.unref();
   }
+  
+  // Session changes made by tool calls update the session, status and transcript resources
+  watchResources({
+    updated: (uri) => server.resourceUpdated(uri),
+    listChanged: () => server.resourceListChanged()
+  });
 }
 
-// Process request from stdin (MCP standard)
+// Process a single legacy { tool: { name, args } } request from stdin
 async function processStdinRequest() {
   try {
     let inputData = '';
@@ -543,17 +829,17 @@ async function processStdinRequest() {
     process.stdin.on('end', async () => {
       try {
         if (!inputData.trim()) {
-          console.error('Error: No input received');
+          logger.error('No input received');
           process.exit(1);
         }
         
-        console.log(`Received input: ${inputData.length} characters`);
+        logger.debug('Received input', { length: inputData.length });
         
         let request;
         try {
           request = JSON.parse(inputData);
         } catch (parseError) {
-          console.error('Error parsing input JSON:', parseError.message);
+          logger.error('Error parsing input JSON', { error: parseError });
           process.stdout.write(JSON.stringify({
             result: {
               content: [{
@@ -570,7 +856,7 @@ async function processStdinRequest() {
         }
         
         if (!request || !request.tool) {
-          console.error('Error: Invalid request format - missing tool field');
+          logger.error('Invalid request format - missing tool field');
           process.stdout.write(JSON.stringify({
             result: {
               content: [{
@@ -587,10 +873,10 @@ async function processStdinRequest() {
         }
         
         const { name, args } = request.tool;
-        console.log(`Tool called: ${name}`);
+        logger.info('Tool called', { tool: name });
         
         if (!args) {
-          console.error('Error: Invalid request format - missing args field');
+          logger.error('Invalid request format - missing args field');
           process.stdout.write(JSON.stringify({
             result: {
               content: [{
@@ -606,54 +892,32 @@ async function processStdinRequest() {
           process.exit(1);
         }
         
-        let result;
-        
-        switch (name) {
-          case 'agentforce_authenticate':
-            result = await authenticateWithAgentForce(args);
-            break;
-          
-          case 'agentforce_create_session':
-            result = await createAgentForceSession(args);
-            break;
-          
-          case 'agentforce_send_message':
-            result = await sendMessageToAgentForce(args);
-            break;
-          
-          case 'agentforce_get_status':
-            result = await getAgentForceStatus(args);
-            break;
-          
-          case 'agentforce_reset':
-            result = await resetAgentForceClient(args);
-            break;
-          
-          default:
-            console.error(`Error: Unknown tool: ${name}`);
-            process.stdout.write(JSON.stringify({
-              result: {
-                content: [{
-                  type: 'text',
-                  text: `Error: Unknown tool: ${name}`
-                }],
-                error: {
-                  code: 'unknown_tool',
-                  message: `Unknown tool: ${name}`
-                }
+        if (!getTool(name)) {
+          logger.error('Unknown tool', { tool: name });
+          process.stdout.write(JSON.stringify({
+            result: {
+              content: [{
+                type: 'text',
+                text: `Error: Unknown tool: ${name}`
+              }],
+              error: {
+                code: 'unknown_tool',
+                message: `Unknown tool: ${name}`
               }
-            }));
-            process.exit(1);
+            }
+          }));
+          process.exit(1);
         }
         
-        console.log('Sending response');
+        const result = await runTool(name, args);
+        
+        logger.debug('Sending response');
         
         // Return result as JSON
         process.stdout.write(JSON.stringify({ result }));
         process.exit(0);
       } catch (error) {
-        console.error('Error processing request:', error.message);
-        console.error('Stack trace:', error.stack);
+        logger.error('Error processing request', { error, stack: error.stack });
         
         process.stdout.write(JSON.stringify({
           result: {
@@ -672,8 +936,7 @@ async function processStdinRequest() {
       }
     });
   } catch (error) {
-    console.error('Error processing stdin:', error.message);
-    console.error('Stack trace:', error.stack);
+    logger.error('Error processing stdin', { error, stack: error.stack });
     
     process.stdout.write(JSON.stringify({
       result: {
@@ -694,19 +957,150 @@ async function processStdinRequest() {
 
 // Main function
 async function main() {
-  // Setup logging
-  setupLogging();
+  const { command, positionals, options } = parseArgs(process.argv.slice(2));
+  const isServer = !command;
   
-  const args = process.argv.slice(2);
+  if (typeof options.profile === 'string') {
+    selectProfile(options.profile);
+  }
+  
+  // Setup logging
+  setupLogging(isServer);
   
   // Handle configure command
-  if (args.includes('configure')) {
-    await configureClient();
+  if (command === 'configure') {
+    if (options.mode !== undefined && !['server', 'direct'].includes(options.mode)) {
+      console.error(`${colors.red}Invalid --mode: ${options.mode} (expected server or direct)${colors.reset}`);
+      process.exitCode = CONFIGURE_EXIT.INVALID_INPUT;
+      return;
+    }
+    try {
+      process.exitCode = await configureClient(typeof options.profile === 'string' ? options.profile : undefined, {
+        mode: typeof options.mode === 'string' ? options.mode : undefined,
+        rotateKey: Boolean(options['rotate-key']),
+        apiKeyEnv: typeof options['api-key-env'] === 'string' ? options['api-key-env'] : undefined,
+        apiKeyCommand: typeof options['api-key-command'] === 'string' ? options['api-key-command'] : undefined,
+        apiKeyStore: Boolean(options['api-key-store']),
+        serverUrl: typeof options['server-url'] === 'string' ? options['server-url'] : undefined,
+        apiKey: typeof options['api-key'] === 'string' ? options['api-key'] : undefined,
+        nonInteractive: Boolean(options['non-interactive']),
+        skipVerify: Boolean(options['skip-verify']),
+        proxy: typeof options.proxy === 'string' ? options.proxy : undefined,
+        noProxy: typeof options['no-proxy'] === 'string' ? options['no-proxy'] : undefined,
+        ca: typeof options.ca === 'string' ? options.ca : undefined,
+        cert: typeof options.cert === 'string' ? options.cert : undefined,
+        key: typeof options.key === 'string' ? options.key : undefined
+      });
+    } finally {
+      closePrompt();
+    }
+    return;
+  }
+  
+  // Handle install-claude command
+  if (command === 'install-claude') {
+    process.exitCode = installClaude(positionals[0], options);
+    return;
+  }
+  
+  // Handle doctor command
+  if (command === 'doctor') {
+    process.exitCode = await runDoctorCommand(options);
+    return;
+  }
+  
+  // Handle profiles command
+  if (command === 'profiles') {
+    process.exitCode = manageProfiles(positionals[0], positionals[1]);
+    return;
+  }
+  
+  // Handle export command
+  if (command === 'export') {
+    process.exitCode = exportTranscript(positionals[0], options);
+    return;
+  }
+  
+  // Handle stats command
+  if (command === 'stats') {
+    process.exitCode = showStats(options);
+    return;
+  }
+  
+  // Handle mock-server command
+  if (command === 'mock-server') {
+    process.exitCode = await runMockServer(options);
+    return;
+  }
+  
+  if (command && !['chat', 'test'].includes(command)) {
+    console.error(`${colors.red}Unknown command: ${command}${colors.reset}`);
+    process.exitCode = 1;
+    return;
+  }
+  
+  // An explicitly requested profile must exist before serving with it
+  const config = loadConfig();
+  if (isProfileExplicit() && !listProfiles().profiles[config.profile]) {
+    logger.error('Profile not found', { profile: config.profile });
+    if (command) {
+      console.error(`${colors.red}Profile not found: ${config.profile}${colors.reset}`);
+    }
+    process.exitCode = 1;
+    return;
+  }
+  
+  // Register pass-through tools and plugins declared in the config
+  await loadConfiguredTools(config, CONFIG_DIR);
+  
+  // Record tool calls to cassettes, or replay them instead of calling the server
+  if (typeof options.record === 'string' && typeof options.replay === 'string') {
+    logger.error('--record and --replay cannot be used together');
+    process.exitCode = 1;
+    return;
+  }
+  if (typeof options.record === 'string') {
+    const file = startRecording(path.resolve(options.record), config.cassette);
+    logger.info('Recording tool calls', { cassette: file });
+  } else if (typeof options.replay === 'string') {
+    try {
+      const loaded = startReplay(path.resolve(options.replay), config.cassette);
+      logger.info('Replaying tool calls from cassettes', { dir: options.replay, ...loaded });
+    } catch (error) {
+      logger.error('Error loading cassettes', { dir: options.replay, error });
+      process.exitCode = 1;
+      return;
+    }
+  }
+  
+  // Interactive chat with the agent in the terminal
+  if (command === 'chat') {
+    await runChat({ colors });
+    return;
+  }
+  
+  // Scripted conversation tests
+  if (command === 'test') {
+    if (positionals.length === 0) {
+      console.error(`${colors.red}Usage: agentforce-reliable-tool test <script.yaml|script.json>... [--junit <file>]${colors.reset}`);
+      process.exitCode = 2;
+      return;
+    }
+    process.exitCode = await runTests(positionals, {
+      colors,
+      junit: typeof options.junit === 'string' ? options.junit : undefined
+    });
+    return;
+  }
+  
+  // Legacy single-shot operation: one request read from stdin until EOF
+  if (options.legacy) {
+    processStdinRequest();
     return;
   }
   
-  // Standard MCP operation: read from stdin
-  processStdinRequest();
+  // Standard MCP operation: long-running JSON-RPC server on stdio
+  runMcpServer();
 }
 
 // Run the main function
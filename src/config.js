@@ -0,0 +1,266 @@
+/**
+ * Client configuration
+ * Location, defaults and persistence of ~/.agentforce-reliable-client/config.json
+ */
+import fs from 'fs';
+import path from 'path';
+import { homedir } from 'os';
+import { execSync } from 'child_process';
+import { logger } from './logger.js';
+import { createSecretStore, writePrivateFile } from './secrets.js';
+
+// Configuration constants
+export const CONFIG_DIR = path.join(homedir(), '.agentforce-reliable-client');
+export const CONFIG_PATH = path.join(CONFIG_DIR, 'config.json');
+export const LOGS_DIR = path.join(CONFIG_DIR, 'logs');
+export const SECRETS_PATH = path.join(CONFIG_DIR, 'secrets.json');
+export const STATE_PATH = path.join(CONFIG_DIR, 'state.json');
+export const TRANSCRIPTS_DIR = path.join(CONFIG_DIR, 'transcripts');
+export const PROMPTS_DIR = path.join(CONFIG_DIR, 'prompts');
+export const METRICS_DIR = path.join(CONFIG_DIR, 'metrics');
+
+// Default config
+export const DEFAULT_CONFIG = {
+  serverUrl: 'http://localhost:3000',
+  apiKey: ''
+};
+
+// Profile used when none is selected and the config does not name an active one
+export const DEFAULT_PROFILE = 'default';
+
+// Settings that belong to a profile rather than to the whole client
+// apiKey is only read for configs written before keys moved to the secret store
+const PROFILE_KEYS = ['serverUrl', 'apiKey', 'apiKeyEnv', 'apiKeyCommand'];
+
+// Profile settings written back by saveConfig; the API key itself goes to the secret store
+const SAVED_PROFILE_KEYS = ['mode', 'serverUrl', 'apiKeyEnv', 'apiKeyCommand', 'proxy', 'noProxy', 'tls', 'keepAlive'];
+
+// How long an apiKeyCommand may run
+const API_KEY_COMMAND_TIMEOUT = 10000;
+
+// Encrypted store for API keys and other credentials
+export const secretStore = createSecretStore(SECRETS_PATH);
+
+// Output of apiKeyCommand per command, so it runs once per process
+const commandKeyCache = new Map();
+
+// Profile chosen for this process with --profile, if any
+let selectedProfile = null;
+
+// Select the profile for this process (from --profile)
+export function selectProfile(name) {
+  selectedProfile = name || null;
+}
+
+// Name of the profile in effect: --profile, then AGENTFORCE_PROFILE, then the config's active profile
+export function getProfileName(rawConfig) {
+  return selectedProfile ||
+    process.env.AGENTFORCE_PROFILE ||
+    (rawConfig && rawConfig.activeProfile) ||
+    DEFAULT_PROFILE;
+}
+
+// Whether the profile was chosen explicitly rather than taken from the config
+export function isProfileExplicit() {
+  return Boolean(selectedProfile || process.env.AGENTFORCE_PROFILE);
+}
+
+// Move a single-server config (top-level serverUrl/apiKey) into a "default" profile
+function normalizeConfig(rawConfig) {
+  const config = { ...rawConfig, profiles: { ...(rawConfig.profiles || {}) } };
+  const legacy = {};
+  for (const key of PROFILE_KEYS) {
+    if (config[key] !== undefined) {
+      legacy[key] = config[key];
+      delete config[key];
+    }
+  }
+  if (Object.keys(legacy).length > 0 && !config.profiles[DEFAULT_PROFILE]) {
+    config.profiles[DEFAULT_PROFILE] = legacy;
+    config.activeProfile = config.activeProfile || DEFAULT_PROFILE;
+  }
+  return config;
+}
+
+// Secret store entry name for a profile's API key
+function apiKeySecretName(profileName) {
+  return `apiKey:${profileName}`;
+}
+
+// Store a profile's server API key in the encrypted secret store
+export function storeApiKey(profileName, apiKey) {
+  secretStore.set(apiKeySecretName(profileName), apiKey);
+  logger.info('API key stored', { profile: profileName });
+}
+
+// Whether a profile has an API key in the secret store
+export function hasStoredApiKey(profileName) {
+  try {
+    return secretStore.has(apiKeySecretName(profileName));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Resolve a profile's API key: apiKeyCommand, then apiKeyEnv, then the secret store,
+// then a plaintext apiKey left over from an older config
+export function resolveApiKey(profileName, profile = {}) {
+  if (profile.apiKeyCommand) {
+    if (!commandKeyCache.has(profile.apiKeyCommand)) {
+      try {
+        const output = execSync(profile.apiKeyCommand, {
+          encoding: 'utf8',
+          timeout: API_KEY_COMMAND_TIMEOUT,
+          stdio: ['ignore', 'pipe', 'pipe']
+        });
+        commandKeyCache.set(profile.apiKeyCommand, output.trim());
+      } catch (error) {
+        logger.error('apiKeyCommand failed', { profile: profileName, error });
+        return '';
+      }
+    }
+    return commandKeyCache.get(profile.apiKeyCommand);
+  }
+
+  if (profile.apiKeyEnv) {
+    const value = process.env[profile.apiKeyEnv];
+    if (!value) {
+      logger.warn('apiKeyEnv is set but the variable is empty', { profile: profileName, variable: profile.apiKeyEnv });
+    }
+    return value || '';
+  }
+
+  try {
+    const stored = secretStore.get(apiKeySecretName(profileName));
+    if (stored !== null) {
+      return stored;
+    }
+  } catch (error) {
+    logger.error('Error reading API key from secret store', { profile: profileName, error });
+    return '';
+  }
+
+  return profile.apiKey || '';
+}
+
+// Ensure config directory exists
+export function ensureConfigDir() {
+  if (!fs.existsSync(CONFIG_DIR)) {
+    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+    logger.info('Created config directory', { dir: CONFIG_DIR });
+  }
+}
+
+// Load the config file as stored, with all profiles
+export function loadConfigFile() {
+  ensureConfigDir();
+
+  if (fs.existsSync(CONFIG_PATH)) {
+    try {
+      const configData = fs.readFileSync(CONFIG_PATH, 'utf8');
+      try {
+        const config = normalizeConfig(JSON.parse(configData));
+        logger.debug('Successfully loaded configuration', { path: CONFIG_PATH });
+        return config;
+      } catch (parseError) {
+        logger.error('Error parsing configuration, using defaults instead', { path: CONFIG_PATH, error: parseError });
+        return { profiles: {} };
+      }
+    } catch (error) {
+      logger.error('Error loading config', { path: CONFIG_PATH, error });
+    }
+  } else {
+    logger.info('No configuration file found, using defaults', { path: CONFIG_PATH });
+  }
+
+  return { profiles: {} };
+}
+
+// Load the effective config: global settings overlaid with the selected profile
+// The result carries the profile name in `profile`
+export function loadConfig(profileName) {
+  const rawConfig = loadConfigFile();
+  const name = profileName || getProfileName(rawConfig);
+  const profile = rawConfig.profiles[name];
+
+  if (!profile && rawConfig.profiles && Object.keys(rawConfig.profiles).length > 0) {
+    logger.warn('Profile not found, using defaults', { profile: name });
+  }
+
+  const { profiles, activeProfile, ...globalSettings } = rawConfig;
+  return {
+    ...DEFAULT_CONFIG,
+    ...globalSettings,
+    ...(profile || {}),
+    apiKey: resolveApiKey(name, profile),
+    profile: name
+  };
+}
+
+// Save the whole config file, readable only by the current user
+// Plaintext API keys from older configs are moved into the secret store on the way
+export function saveConfigFile(rawConfig) {
+  ensureConfigDir();
+  try {
+    const config = normalizeConfig(rawConfig);
+    for (const [name, profile] of Object.entries(config.profiles)) {
+      if (profile.apiKey !== undefined) {
+        if (profile.apiKey) {
+          storeApiKey(name, profile.apiKey);
+        }
+        const { apiKey, ...rest } = profile;
+        config.profiles[name] = rest;
+      }
+    }
+    writePrivateFile(CONFIG_PATH, JSON.stringify(config, null, 2));
+    logger.info('Configuration saved', { path: CONFIG_PATH });
+    return true;
+  } catch (error) {
+    logger.error('Error saving configuration', { path: CONFIG_PATH, error });
+    return false;
+  }
+}
+
+// Save an effective config back into its profile
+// Profile settings go to the profile; everything else is left as stored. A setting set to null is
+// removed from the profile, one left undefined keeps its stored value.
+// The resolved apiKey is never written here: use storeApiKey.
+export function saveConfig(config) {
+  const rawConfig = loadConfigFile();
+  const name = config.profile || getProfileName(rawConfig);
+
+  const profile = { ...(rawConfig.profiles[name] || {}) };
+  for (const key of SAVED_PROFILE_KEYS) {
+    if (config[key] === null) {
+      delete profile[key];
+    } else if (config[key] !== undefined) {
+      profile[key] = config[key];
+    }
+  }
+  rawConfig.profiles[name] = profile;
+
+  if (!rawConfig.activeProfile) {
+    rawConfig.activeProfile = name;
+  }
+
+  return saveConfigFile(rawConfig);
+}
+
+// Names of all stored profiles
+export function listProfiles() {
+  const rawConfig = loadConfigFile();
+  return {
+    active: rawConfig.activeProfile || DEFAULT_PROFILE,
+    profiles: rawConfig.profiles
+  };
+}
+
+// Make a stored profile the active one; returns false if it does not exist
+export function setActiveProfile(name) {
+  const rawConfig = loadConfigFile();
+  if (!rawConfig.profiles[name]) {
+    return false;
+  }
+  rawConfig.activeProfile = name;
+  return saveConfigFile(rawConfig);
+}
@@ -0,0 +1,291 @@
+/**
+ * Direct mode backend
+ * Implements the built-in tools against the Salesforce Agent API itself, without a Reliable Server:
+ * OAuth client-credentials tokens (fetched again when they expire or are rejected), Agent API sessions,
+ * and messages with increasing sequence ids.
+ */
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from './logger.js';
+import { resolveAuthConfig } from './session.js';
+import { requestAgents } from './transport.js';
+
+// Agent API host used when neither config.agent.agentApiUrl nor SF_AGENT_API_URL is set
+const DEFAULT_AGENT_API_URL = 'https://api.salesforce.com';
+const AGENT_API_PATH = '/einstein/ai-agent/v1';
+
+// Token lifetime assumed when the token response has no expires_in
+const DEFAULT_TOKEN_TTL_MS = 25 * 60 * 1000;
+
+// Refresh tokens this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// Per client id: { auth, token, tokenExpiresAt, sessionId, sequenceId, sessionStartedAt }
+const clients = new Map();
+
+// Build an MCP tool result
+function textResult(text, extra = {}) {
+  return {
+    content: [{
+      type: 'text',
+      text
+    }],
+    ...extra
+  };
+}
+
+// Build an MCP error result
+function errorResult(code, message) {
+  return textResult(message, { error: { code, message } });
+}
+
+// Strip a trailing slash
+function trimUrl(url) {
+  return String(url || '').replace(/\/+$/, '');
+}
+
+// Agent API base URL for a client
+function agentApiBase(config, auth) {
+  const host = auth.agentApiUrl || (config.agent && config.agent.agentApiUrl) || process.env.SF_AGENT_API_URL || DEFAULT_AGENT_API_URL;
+  return `${trimUrl(host)}${AGENT_API_PATH}`;
+}
+
+// Salesforce My Domain URL used for the token endpoint and as the session's instance endpoint
+function myDomainUrl(auth) {
+  return trimUrl(auth.apiUrl || auth.baseUrl);
+}
+
+// Fetch an OAuth access token with the client-credentials flow
+async function fetchToken(config, client, timeout) {
+  const { auth } = client;
+  const tokenUrl = `${myDomainUrl(auth)}/services/oauth2/token`;
+
+  logger.info('Requesting Salesforce access token', { tokenUrl });
+  const response = await axios.post(tokenUrl, new URLSearchParams({
+    grant_type: 'client_credentials',
+    client_id: auth.clientId,
+    client_secret: auth.clientSecret
+  }).toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout,
+    ...requestAgents(config, tokenUrl)
+  });
+
+  const ttl = response.data.expires_in ? Number(response.data.expires_in) * 1000 : DEFAULT_TOKEN_TTL_MS;
+  client.token = response.data.access_token;
+  client.tokenExpiresAt = Date.now() + ttl;
+}
+
+// Make sure the client holds a token that is not about to expire
+async function ensureToken(config, client, timeout) {
+  if (!client.token || Date.now() > client.tokenExpiresAt - TOKEN_REFRESH_MARGIN_MS) {
+    await fetchToken(config, client, timeout);
+  }
+}
+
+// Call the Agent API, fetching a new token and retrying once if the current one is rejected
+async function agentApiRequest(config, client, request, timeout) {
+  await ensureToken(config, client, timeout);
+
+  const send = () => axios({
+    ...request,
+    headers: {
+      'Authorization': `Bearer ${client.token}`,
+      'Content-Type': 'application/json',
+      ...(request.headers || {})
+    },
+    timeout,
+    ...requestAgents(config, request.url)
+  });
+
+  try {
+    return await send();
+  } catch (error) {
+    if (axios.isAxiosError(error) && error.response && error.response.status === 401) {
+      logger.info('Access token rejected, fetching a new one');
+      await fetchToken(config, client, timeout);
+      return send();
+    }
+    throw error;
+  }
+}
+
+// Text of the agent messages in an Agent API response
+function messagesText(messages = []) {
+  return messages
+    .map((message) => message.message || message.text || '')
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+// Turn a failed Agent API call into an error result
+function failure(label, code, error) {
+  const status = error.response ? error.response.status : undefined;
+  const detail = error.response && error.response.data && (error.response.data.message || error.response.data.error_description);
+  const message = `${label} failed: ${detail || error.message}`;
+  logger.error(`${label} error`, { status, error, responseData: error.response ? error.response.data : undefined });
+  return errorResult(code, message);
+}
+
+// Settings missing from the call fall back to the SF_* environment variables and config.agent
+async function authenticate(config, args, timeout) {
+  const auth = { ...resolveAuthConfig(config, args.clientId), ...args.config };
+  const missing = ['clientId', 'clientSecret'].filter((key) => !auth[key]);
+  if (!myDomainUrl(auth)) {
+    missing.push('apiUrl');
+  }
+  if (missing.length > 0) {
+    return errorResult('authentication_error', `Authentication failed: direct mode needs config.${missing.join(', config.')}`);
+  }
+
+  const client = { auth, token: null, tokenExpiresAt: 0, sessionId: null, sequenceId: 0 };
+  try {
+    await fetchToken(config, client, timeout);
+  } catch (error) {
+    return failure('Authentication', 'authentication_error', error);
+  }
+
+  const previous = clients.get(args.clientId);
+  if (previous && previous.sessionId) {
+    await endSession(config, previous, timeout);
+  }
+  clients.set(args.clientId, client);
+  return textResult(`Successfully authenticated with Salesforce for agent ${auth.agentId}`);
+}
+
+async function createSession(config, args, timeout) {
+  const client = clients.get(args.clientId);
+  if (!client) {
+    return errorResult('not_authenticated', 'Session creation failed: not authenticated, call agentforce_authenticate first');
+  }
+
+  if (client.sessionId) {
+    await endSession(config, client, timeout);
+  }
+
+  try {
+    const response = await agentApiRequest(config, client, {
+      method: 'post',
+      url: `${agentApiBase(config, client.auth)}/agents/${encodeURIComponent(client.auth.agentId)}/sessions`,
+      data: {
+        externalSessionKey: uuidv4(),
+        instanceConfig: { endpoint: myDomainUrl(client.auth) },
+        streamingCapabilities: { chunkTypes: ['Text'] },
+        bypassUser: true
+      }
+    }, timeout);
+
+    client.sessionId = response.data.sessionId;
+    client.sequenceId = 0;
+    client.sessionStartedAt = new Date().toISOString();
+
+    const greeting = messagesText(response.data.messages);
+    return textResult(`Session created: ${client.sessionId}${greeting ? `\n\n${greeting}` : ''}`, { sessionId: client.sessionId });
+  } catch (error) {
+    return failure('Session creation', 'session_creation_error', error);
+  }
+}
+
+async function sendMessage(config, args, timeout, signal) {
+  const client = clients.get(args.clientId);
+  if (!client || !client.sessionId) {
+    return errorResult('no_active_session', 'Message sending failed: no active session');
+  }
+
+  // The Agent API expects consecutive sequence ids, so a failed send does not use one up
+  const sequenceId = client.sequenceId + 1;
+  try {
+    const response = await agentApiRequest(config, client, {
+      method: 'post',
+      url: `${agentApiBase(config, client.auth)}/sessions/${encodeURIComponent(client.sessionId)}/messages`,
+      data: {
+        message: {
+          sequenceId,
+          type: 'Text',
+          text: args.message
+        }
+      },
+      signal
+    }, timeout);
+    client.sequenceId = sequenceId;
+
+    // The messages go along for the reply normalizer: choices, links and action output are not in the text
+    return textResult(messagesText(response.data.messages), { messages: response.data.messages || [] });
+  } catch (error) {
+    // Cancellation is reported by the tool runner
+    if (axios.isCancel(error)) {
+      throw error;
+    }
+    if (error.response && [404, 410].includes(error.response.status)) {
+      client.sessionId = null;
+      return errorResult('session_expired', 'Message sending failed: session expired');
+    }
+    return failure('Message sending', 'message_sending_error', error);
+  }
+}
+
+// End an Agent API session; failures are logged and otherwise ignored
+async function endSession(config, client, timeout) {
+  const sessionId = client.sessionId;
+  client.sessionId = null;
+  try {
+    await agentApiRequest(config, client, {
+      method: 'delete',
+      url: `${agentApiBase(config, client.auth)}/sessions/${encodeURIComponent(sessionId)}`,
+      headers: { 'x-session-end-reason': 'UserRequest' }
+    }, timeout);
+    logger.info('Ended Agent API session', { sessionId });
+  } catch (error) {
+    logger.warn('Error ending Agent API session', { sessionId, error });
+  }
+}
+
+function getStatus(config, args) {
+  const client = clients.get(args.clientId);
+  const status = {
+    mode: 'direct',
+    clientId: args.clientId,
+    authenticated: Boolean(client && client.token),
+    tokenExpiresAt: client && client.tokenExpiresAt ? new Date(client.tokenExpiresAt).toISOString() : null,
+    agentId: client ? client.auth.agentId : null,
+    sessionId: client ? client.sessionId : null,
+    sessionStartedAt: client && client.sessionId ? client.sessionStartedAt : null,
+    sequenceId: client ? client.sequenceId : 0
+  };
+  return textResult(JSON.stringify(status, null, 2));
+}
+
+async function reset(config, args, timeout) {
+  const client = clients.get(args.clientId);
+  if (client && client.sessionId) {
+    await endSession(config, client, timeout);
+  }
+  clients.delete(args.clientId);
+  return textResult('Client reset');
+}
+
+// Tools the direct backend implements
+const DIRECT_TOOLS = {
+  agentforce_authenticate: authenticate,
+  agentforce_create_session: createSession,
+  agentforce_send_message: sendMessage,
+  agentforce_get_status: getStatus,
+  agentforce_reset: reset
+};
+
+// Run a tool against the Agent API; resolves with an MCP tool result
+// signal, if given, aborts the request to send a message
+export async function callDirectTool(config, tool, args, timeout, signal) {
+  const handler = DIRECT_TOOLS[tool.name];
+  if (!handler) {
+    return errorResult(tool.errorCode, `${tool.name} is not available in direct mode`);
+  }
+  return handler(config, args, timeout, signal);
+}
+
+// End every open session (used on shutdown)
+export async function endAllDirectSessions(config, timeout = 10000) {
+  await Promise.all([...clients.values()]
+    .filter((client) => client.sessionId)
+    .map((client) => endSession(config, client, timeout)));
+}
@@ -0,0 +1,221 @@
+/**
+ * Doctor
+ * Diagnostic checks for an installation: config file, proxy and TLS settings, server reachability
+ * and version, API key, a real agentforce_get_status call, the Claude Desktop entry and the log directory.
+ */
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { CONFIG_PATH, LOGS_DIR, loadConfig, loadConfigFile } from './config.js';
+import { claudeDesktopConfigPath, readClaudeDesktopConfig, findClaudeDesktopEntry, claudeDesktopEntry } from './claude-desktop.js';
+import { runTool } from './tool-runner.js';
+import { checkTransport, describeTransport, requestAgents, transportErrorHint } from './transport.js';
+
+// Major versions of agentforce-reliable-server this client speaks to
+export const SUPPORTED_SERVER_MAJORS = [1];
+
+// Check outcomes, from best to worst
+export const CHECK_STATUS = {
+  PASS: 'pass',
+  WARN: 'warn',
+  SKIP: 'skip',
+  FAIL: 'fail'
+};
+
+function check(name, status, message, details) {
+  return details === undefined ? { name, status, message } : { name, status, message, details };
+}
+
+// The config file parses and the selected profile is usable
+function checkConfigFile(profileName) {
+  if (!fs.existsSync(CONFIG_PATH)) {
+    return check('config', CHECK_STATUS.WARN, `No config file at ${CONFIG_PATH}, using defaults`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    return check('config', CHECK_STATUS.FAIL, `${CONFIG_PATH} is not valid JSON: ${error.message}`);
+  }
+
+  const problems = [];
+  const config = loadConfig(profileName);
+  if (raw.profiles !== undefined && (!raw.profiles || typeof raw.profiles !== 'object' || Array.isArray(raw.profiles))) {
+    problems.push('"profiles" must be an object');
+  } else {
+    const { profiles } = loadConfigFile();
+    if (Object.keys(profiles).length > 0 && !profiles[config.profile]) {
+      problems.push(`profile "${config.profile}" does not exist`);
+    }
+  }
+  if (config.mode !== undefined && !['server', 'direct'].includes(config.mode)) {
+    problems.push(`mode must be "server" or "direct", not "${config.mode}"`);
+  }
+  if (config.mode !== 'direct') {
+    try {
+      new URL(config.serverUrl);
+    } catch (error) {
+      problems.push(`serverUrl is not a valid URL: ${config.serverUrl}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    return check('config', CHECK_STATUS.FAIL, problems.join('; '));
+  }
+  return check('config', CHECK_STATUS.PASS, `${CONFIG_PATH} is valid (profile: ${config.profile})`);
+}
+
+// Proxy, CA and client certificate settings are usable
+function checkNetwork(config) {
+  const problems = checkTransport(config);
+  if (problems.length > 0) {
+    return check('network', CHECK_STATUS.FAIL, problems.join('; '));
+  }
+
+  const target = config.mode === 'direct' ? 'https://api.salesforce.com' : config.serverUrl;
+  const settings = describeTransport(config, target);
+  return check('network', CHECK_STATUS.PASS, settings.length > 0 ? settings.join('; ') : 'Direct connection, system CA certificates');
+}
+
+// The server answers GET / with a compatible version
+// Only an unreachable server is reported without details
+async function checkServer(config, timeout) {
+  try {
+    const response = await axios.get(config.serverUrl, {
+      headers: {
+        'x-api-key': config.apiKey,
+        'x-request-id': uuidv4()
+      },
+      timeout,
+      ...requestAgents(config, config.serverUrl)
+    });
+
+    const info = response.data || {};
+    const major = parseInt(String(info.version || ''), 10);
+    if (!SUPPORTED_SERVER_MAJORS.includes(major)) {
+      return check('server', CHECK_STATUS.FAIL,
+        `${info.name || 'Server'} v${info.version || 'unknown'} at ${config.serverUrl} is not supported (supported: ${SUPPORTED_SERVER_MAJORS.map((m) => `${m}.x`).join(', ')})`,
+        info);
+    }
+    return check('server', CHECK_STATUS.PASS, `${info.name} v${info.version} at ${config.serverUrl} (status: ${info.status}, mode: ${info.mode})`, info);
+  } catch (error) {
+    const status = error.response && error.response.status;
+    if (status === 401 || status === 403) {
+      return check('server', CHECK_STATUS.WARN, `Server at ${config.serverUrl} answered but refused the API key (status code ${status})`, { status });
+    }
+    const reason = status ? `status code ${status}` : (error.code || error.message);
+    const hint = transportErrorHint(error);
+    return check('server', CHECK_STATUS.FAIL, `Server at ${config.serverUrl} is not reachable: ${reason}${hint ? `. ${hint}` : ''}`);
+  }
+}
+
+// The server accepts the API key on /mcp/call-tool
+async function checkApiKey(config, timeout) {
+  if (!config.apiKey) {
+    return check('apiKey', CHECK_STATUS.FAIL, 'No API key configured for this profile');
+  }
+
+  try {
+    await axios.post(`${config.serverUrl}/mcp/call-tool`, {
+      tool: { name: 'agentforce_get_status', args: {} }
+    }, {
+      headers: {
+        'x-api-key': config.apiKey,
+        'x-request-id': uuidv4(),
+        'Content-Type': 'application/json'
+      },
+      timeout,
+      ...requestAgents(config, config.serverUrl)
+    });
+    return check('apiKey', CHECK_STATUS.PASS, 'API key accepted');
+  } catch (error) {
+    const status = error.response && error.response.status;
+    if (status === 401 || status === 403) {
+      return check('apiKey', CHECK_STATUS.FAIL, `API key rejected (status code ${status})`);
+    }
+    return check('apiKey', CHECK_STATUS.WARN, `Could not confirm the API key: ${status ? `status code ${status}` : (error.code || error.message)}`);
+  }
+}
+
+// agentforce_get_status succeeds end to end
+async function checkStatusTool() {
+  const result = await runTool('agentforce_get_status', {});
+  if (result.error) {
+    return check('getStatus', CHECK_STATUS.FAIL, `agentforce_get_status failed: ${result.error.message}`);
+  }
+  return check('getStatus', CHECK_STATUS.PASS, 'agentforce_get_status succeeded', result.content[0].text);
+}
+
+// Claude Desktop has an mcpServers entry for the profile
+function checkClaudeDesktop(profileName) {
+  const configPath = claudeDesktopConfigPath();
+  let desktopConfig;
+  try {
+    desktopConfig = readClaudeDesktopConfig(configPath);
+  } catch (error) {
+    return check('claudeDesktop', CHECK_STATUS.FAIL, `${configPath} is not valid JSON: ${error.message}`);
+  }
+
+  if (!desktopConfig) {
+    return check('claudeDesktop', CHECK_STATUS.WARN, `No Claude Desktop config at ${configPath}`);
+  }
+
+  const name = findClaudeDesktopEntry(desktopConfig, profileName);
+  if (!name) {
+    return check('claudeDesktop', CHECK_STATUS.FAIL, `No mcpServers entry for this profile in ${configPath} (expected "${claudeDesktopEntry(profileName).name}")`);
+  }
+  return check('claudeDesktop', CHECK_STATUS.PASS, `Entry "${name}" found in ${configPath}`);
+}
+
+// Logs can be written
+function checkLogDirectory() {
+  const probe = path.join(LOGS_DIR, `.doctor-${process.pid}`);
+  try {
+    fs.mkdirSync(LOGS_DIR, { recursive: true });
+    fs.writeFileSync(probe, 'ok');
+    fs.unlinkSync(probe);
+    return check('logs', CHECK_STATUS.PASS, `${LOGS_DIR} is writable`);
+  } catch (error) {
+    return check('logs', CHECK_STATUS.FAIL, `${LOGS_DIR} is not writable: ${error.message}`);
+  }
+}
+
+// Run every check for a profile
+// options: { profile, timeout }
+// Resolves with { ok, profile, checks: [{ name, status, message, details }] }; ok is false if any check failed
+export async function runDoctor(options = {}) {
+  const timeout = options.timeout || 5000;
+  const checks = [checkConfigFile(options.profile)];
+  const config = loadConfig(options.profile);
+  checks.push(checkNetwork(config));
+
+  if (config.mode === 'direct') {
+    checks.push(check('server', CHECK_STATUS.SKIP, 'Direct mode: no Reliable Server used'));
+    checks.push(check('apiKey', CHECK_STATUS.SKIP, 'Direct mode: no server API key used'));
+    checks.push(await checkStatusTool());
+  } else {
+    const server = await checkServer(config, timeout);
+    checks.push(server);
+    if (server.status === CHECK_STATUS.FAIL && !server.details) {
+      checks.push(check('apiKey', CHECK_STATUS.SKIP, 'Server not reachable'));
+      checks.push(check('getStatus', CHECK_STATUS.SKIP, 'Server not reachable'));
+    } else {
+      const apiKey = await checkApiKey(config, timeout);
+      checks.push(apiKey);
+      checks.push(apiKey.status === CHECK_STATUS.FAIL
+        ? check('getStatus', CHECK_STATUS.SKIP, 'API key not accepted')
+        : await checkStatusTool());
+    }
+  }
+
+  checks.push(checkClaudeDesktop(config.profile));
+  checks.push(checkLogDirectory());
+
+  return {
+    ok: checks.every((item) => item.status !== CHECK_STATUS.FAIL),
+    profile: config.profile,
+    checks
+  };
+}
@@ -0,0 +1,228 @@
+/**
+ * Structured logger
+ * Writes redacted JSON lines to a size-rotated log file and, optionally, to stderr.
+ * Never writes to stdout, which is reserved for MCP protocol messages.
+ */
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Numeric severity of each level; entries below the configured level are dropped
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+// Object keys whose values are always replaced
+// Only credential token names match, so fields like progressToken or availableTokens are kept
+const SECRET_KEY_PATTERN = /(secret|password|passwd|^token$|(?:access|refresh|id|auth|session)[-_]?token|bearer|api[-_]?key|authorization|cookie|credential|private[-_]?key|passphrase)/i;
+
+// Secret-looking fragments inside free text
+const SECRET_TEXT_PATTERNS = [
+  [/(bearer\s+)[A-Za-z0-9._~+/=-]+/gi, '$1[REDACTED]'],
+  [/("?(?:client_?secret|password|api_?key|access_?token|refresh_?token)"?\s*[:=]\s*"?)[^"&\s,}]+/gi, '$1[REDACTED]']
+];
+
+const REDACTED = '[REDACTED]';
+
+// Log file naming: client.log is current, client.1.log the most recent rotation
+const LOG_FILE_NAME = 'client.log';
+const LOG_FILE_PATTERN = /^client.*\.log$/;
+
+const state = {
+  level: 'info',
+  dir: null,
+  filePath: null,
+  maxBytes: 5 * 1024 * 1024,
+  maxFiles: 5,
+  retentionDays: 14,
+  stderr: false,
+  size: 0
+};
+
+const contextStorage = new AsyncLocalStorage();
+
+// Resolve a level name, falling back to info for unknown values
+function normalizeLevel(level) {
+  const name = typeof level === 'string' ? level.toLowerCase() : '';
+  return LOG_LEVELS[name] !== undefined ? name : 'info';
+}
+
+// Mask secrets inside a string
+function redactText(text) {
+  return SECRET_TEXT_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+// Deep-copy a value with secrets masked
+export function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const error = { name: value.name, message: redactText(value.message) };
+    if (value.code) {
+      error.code = value.code;
+    }
+    return error;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEY_PATTERN.test(key) && item !== undefined && item !== null && item !== ''
+      ? REDACTED
+      : redact(item, seen);
+  }
+  return result;
+}
+
+// Rename client.log -> client.1.log -> client.2.log ..., dropping the oldest
+function rotate() {
+  const base = path.join(state.dir, 'client');
+  const oldest = `${base}.${state.maxFiles}.log`;
+  if (fs.existsSync(oldest)) {
+    fs.unlinkSync(oldest);
+  }
+  for (let index = state.maxFiles - 1; index >= 1; index--) {
+    const from = `${base}.${index}.log`;
+    if (fs.existsSync(from)) {
+      fs.renameSync(from, `${base}.${index + 1}.log`);
+    }
+  }
+  if (fs.existsSync(state.filePath)) {
+    fs.renameSync(state.filePath, `${base}.1.log`);
+  }
+  state.size = 0;
+}
+
+// Delete log files (including pre-rotation timestamped ones) older than the retention period
+function pruneOldLogs() {
+  const cutoff = Date.now() - state.retentionDays * 24 * 60 * 60 * 1000;
+  for (const name of fs.readdirSync(state.dir)) {
+    if (!LOG_FILE_PATTERN.test(name) || name === LOG_FILE_NAME) {
+      continue;
+    }
+    const filePath = path.join(state.dir, name);
+    if (fs.statSync(filePath).mtimeMs < cutoff) {
+      fs.unlinkSync(filePath);
+    }
+  }
+}
+
+// Append one line to the log file, rotating first if it would grow past the size limit
+function writeToFile(line) {
+  if (!state.filePath) {
+    return;
+  }
+  try {
+    const bytes = Buffer.byteLength(line);
+    if (state.size > 0 && state.size + bytes > state.maxBytes) {
+      rotate();
+    }
+    fs.appendFileSync(state.filePath, line, 'utf8');
+    state.size += bytes;
+  } catch (error) {
+    // A broken log file must never take the client down; keep going on stderr only
+    state.filePath = null;
+    process.stderr.write(`Logging to file disabled: ${error.message}\n`);
+  }
+}
+
+// Format and emit one entry
+function write(level, message, fields) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[state.level]) {
+    return;
+  }
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    ...redact(contextStorage.getStore() || {}),
+    message: redactText(String(message)),
+    ...(fields ? redact(fields) : {})
+  };
+
+  let line;
+  try {
+    line = JSON.stringify(entry) + '\n';
+  } catch (error) {
+    line = JSON.stringify({ timestamp: entry.timestamp, level, message: entry.message }) + '\n';
+  }
+
+  writeToFile(line);
+  if (state.stderr) {
+    process.stderr.write(line);
+  }
+}
+
+// Configure where and how much to log
+// options: { dir, level, maxBytes, maxFiles, retentionDays, stderr }
+export function configureLogger(options = {}) {
+  if (options.level !== undefined) {
+    state.level = normalizeLevel(options.level);
+  }
+  if (options.maxBytes !== undefined) {
+    state.maxBytes = options.maxBytes;
+  }
+  if (options.maxFiles !== undefined) {
+    state.maxFiles = Math.max(1, options.maxFiles);
+  }
+  if (options.retentionDays !== undefined) {
+    state.retentionDays = options.retentionDays;
+  }
+  if (options.stderr !== undefined) {
+    state.stderr = options.stderr;
+  }
+
+  if (options.dir && options.dir !== state.dir) {
+    try {
+      fs.mkdirSync(options.dir, { recursive: true });
+      state.dir = options.dir;
+      state.filePath = path.join(options.dir, LOG_FILE_NAME);
+      state.size = fs.existsSync(state.filePath) ? fs.statSync(state.filePath).size : 0;
+      pruneOldLogs();
+    } catch (error) {
+      state.filePath = null;
+      process.stderr.write(`Error setting up logging: ${error.message}\n`);
+    }
+  }
+
+  return { ...state };
+}
+
+// Run fn with extra fields (request id, tool name...) attached to every entry it logs
+export function withLogContext(fields, fn) {
+  const parent = contextStorage.getStore() || {};
+  return contextStorage.run({ ...parent, ...fields }, fn);
+}
+
+// Route console output through the logger so stray console.log calls cannot corrupt stdout
+export function captureConsole() {
+  const format = (args) => args.map((arg) => (typeof arg === 'string' ? arg : JSON.stringify(redact(arg)))).join(' ');
+  console.log = (...args) => write('info', format(args));
+  console.info = (...args) => write('info', format(args));
+  console.debug = (...args) => write('debug', format(args));
+  console.warn = (...args) => write('warn', format(args));
+  console.error = (...args) => write('error', format(args));
+}
+
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
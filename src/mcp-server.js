@@ -0,0 +1,471 @@
+/**
+ * MCP stdio transport
+ * Long-running Model Context Protocol server speaking newline-delimited JSON-RPC 2.0
+ */
+import { createInterface } from 'readline';
+
+// Protocol versions this server understands, newest first
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Protocol versions that know resource_link content items
+const RESOURCE_LINK_VERSIONS = new Set(['2025-06-18']);
+
+// JSON-RPC 2.0 and MCP error codes
+export const ErrorCodes = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  SERVER_NOT_INITIALIZED: -32002,
+  // MCP reuses -32002 for resources/read on an unknown uri
+  RESOURCE_NOT_FOUND: -32002
+};
+
+// Error that is reported to the host as a JSON-RPC error object
+export class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// Methods a host may call before the initialize handshake has completed
+const PRE_INIT_METHODS = new Set(['initialize', 'ping']);
+
+// Pick the protocol version to answer an initialize request with
+export function negotiateProtocolVersion(requested) {
+  if (SUPPORTED_PROTOCOL_VERSIONS.includes(requested)) {
+    return requested;
+  }
+  return SUPPORTED_PROTOCOL_VERSIONS[0];
+}
+
+// Shape tool result content for the negotiated protocol version
+// Older hosts get resource links as text, and the parsed `json` kept on text items is not sent
+export function adaptContent(content, protocolVersion) {
+  return (content || []).map((item) => {
+    if (item.type === 'resource_link' && !RESOURCE_LINK_VERSIONS.has(protocolVersion)) {
+      return { type: 'text', text: item.name && item.name !== item.uri ? `${item.name}: ${item.uri}` : item.uri };
+    }
+    if (item.json !== undefined) {
+      const { json, ...rest } = item;
+      return rest;
+    }
+    return item;
+  });
+}
+
+// Build a JSON-RPC error response
+function errorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return { jsonrpc: '2.0', id, error };
+}
+
+// Create a transport-independent MCP server
+export function createMcpServer(options) {
+  const {
+    serverInfo,
+    instructions,
+    listTools,
+    callTool,
+    listResources,
+    listResourceTemplates = () => [],
+    readResource,
+    listPrompts,
+    getPrompt,
+    send,
+    log = () => {},
+    onShutdown = () => {}
+  } = options;
+
+  const state = {
+    initialized: false,
+    shuttingDown: false,
+    protocolVersion: null,
+    clientInfo: null,
+    clientCapabilities: {},
+    subscriptions: new Set()
+  };
+
+  const pending = new Set();
+
+  // Abort controllers of the requests being handled, by request id
+  const inFlight = new Map();
+
+  // Requests the host cancelled; they get no response
+  const cancelled = new Set();
+
+  const methods = {
+    initialize: async (params) => {
+      state.protocolVersion = negotiateProtocolVersion(params.protocolVersion);
+      state.clientInfo = params.clientInfo || null;
+      state.clientCapabilities = params.capabilities || {};
+
+      log('info', `Initialize from ${state.clientInfo ? state.clientInfo.name : 'unknown client'}, protocol ${state.protocolVersion}`);
+
+      const capabilities = {
+        tools: {}
+      };
+      if (listResources) {
+        capabilities.resources = { subscribe: true, listChanged: true };
+      }
+      if (listPrompts) {
+        capabilities.prompts = {};
+      }
+
+      const result = {
+        protocolVersion: state.protocolVersion,
+        capabilities,
+        serverInfo
+      };
+      if (instructions) {
+        result.instructions = instructions;
+      }
+      return result;
+    },
+
+    'notifications/initialized': async () => {
+      state.initialized = true;
+      log('info', 'Client reported initialized');
+    },
+
+    'notifications/cancelled': async (params) => {
+      const controller = inFlight.get(params.requestId);
+      if (!controller) {
+        log('debug', `Cancellation for unknown or finished request ${params.requestId}`);
+        return;
+      }
+      log('info', `Request ${params.requestId} cancelled by client${params.reason ? `: ${params.reason}` : ''}`);
+      cancelled.add(params.requestId);
+      controller.abort(new Error(params.reason || 'Cancelled by client'));
+    },
+
+    ping: async () => ({}),
+
+    shutdown: async () => {
+      state.shuttingDown = true;
+      return {};
+    },
+
+    'tools/list': async () => ({
+      tools: listTools()
+    }),
+
+    'tools/call': async (params, message, signal) => {
+      if (!params || typeof params.name !== 'string') {
+        throw new RpcError(ErrorCodes.INVALID_PARAMS, 'Missing tool name');
+      }
+
+      const args = params.arguments || {};
+      if (typeof args !== 'object' || Array.isArray(args)) {
+        throw new RpcError(ErrorCodes.INVALID_PARAMS, 'Tool arguments must be an object');
+      }
+
+      // Partial output is reported only when the host asked for progress on this request
+      const progressToken = params._meta ? params._meta.progressToken : undefined;
+      let progress = 0;
+      const onProgress = progressToken === undefined ? null : (text) => {
+        progress += text.length;
+        notify('notifications/progress', { progressToken, progress, message: text });
+      };
+
+      const result = await callTool(params.name, args, { onProgress, signal });
+
+      const response = {
+        content: adaptContent(result.content, state.protocolVersion),
+        isError: Boolean(result.error || result.isError)
+      };
+      if (result._meta) {
+        response._meta = result._meta;
+      }
+      return response;
+    }
+  };
+
+  if (listResources) {
+    Object.assign(methods, {
+      'resources/list': async () => ({
+        resources: await listResources()
+      }),
+
+      'resources/templates/list': async () => ({
+        resourceTemplates: await listResourceTemplates()
+      }),
+
+      'resources/read': async (params) => {
+        if (!params || typeof params.uri !== 'string') {
+          throw new RpcError(ErrorCodes.INVALID_PARAMS, 'Missing resource uri');
+        }
+        const result = await readResource(params.uri);
+        if (!result) {
+          throw new RpcError(ErrorCodes.RESOURCE_NOT_FOUND, `Resource not found: ${params.uri}`, { uri: params.uri });
+        }
+        return result;
+      },
+
+      'resources/subscribe': async (params) => {
+        if (!params || typeof params.uri !== 'string') {
+          throw new RpcError(ErrorCodes.INVALID_PARAMS, 'Missing resource uri');
+        }
+        state.subscriptions.add(params.uri);
+        return {};
+      },
+
+      'resources/unsubscribe': async (params) => {
+        if (!params || typeof params.uri !== 'string') {
+          throw new RpcError(ErrorCodes.INVALID_PARAMS, 'Missing resource uri');
+        }
+        state.subscriptions.delete(params.uri);
+        return {};
+      }
+    });
+  }
+
+  if (listPrompts) {
+    Object.assign(methods, {
+      'prompts/list': async () => ({
+        prompts: await listPrompts()
+      }),
+
+      'prompts/get': async (params) => {
+        if (!params || typeof params.name !== 'string') {
+          throw new RpcError(ErrorCodes.INVALID_PARAMS, 'Missing prompt name');
+        }
+
+        const args = params.arguments || {};
+        if (typeof args !== 'object' || Array.isArray(args)) {
+          throw new RpcError(ErrorCodes.INVALID_PARAMS, 'Prompt arguments must be an object');
+        }
+
+        return getPrompt(params.name, args);
+      }
+    });
+  }
+
+  // Run one parsed JSON-RPC message and return its response (or null for notifications)
+  async function dispatch(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) ||
+        message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      // Responses from the host to server-initiated requests are not used yet
+      if (message && message.jsonrpc === '2.0' && message.method === undefined &&
+          ('result' in message || 'error' in message)) {
+        return null;
+      }
+      const id = message && (typeof message.id === 'string' || typeof message.id === 'number') ? message.id : null;
+      return errorResponse(id, ErrorCodes.INVALID_REQUEST, 'Invalid Request');
+    }
+
+    const isNotification = message.id === undefined;
+    const handler = methods[message.method];
+
+    if (!handler) {
+      if (isNotification) {
+        log('debug', `Ignoring unknown notification: ${message.method}`);
+        return null;
+      }
+      return errorResponse(message.id, ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+    }
+
+    // Some hosts skip the initialized notification, so a completed initialize is enough
+    if (!state.protocolVersion && !isNotification && !PRE_INIT_METHODS.has(message.method)) {
+      return errorResponse(message.id, ErrorCodes.SERVER_NOT_INITIALIZED, 'Server not initialized');
+    }
+
+    const controller = isNotification ? null : new AbortController();
+    if (controller) {
+      inFlight.set(message.id, controller);
+    }
+
+    try {
+      const result = await handler(message.params || {}, message, controller && controller.signal);
+      if (isNotification || cancelled.has(message.id)) {
+        return null;
+      }
+      return { jsonrpc: '2.0', id: message.id, result: result === undefined ? {} : result };
+    } catch (error) {
+      if (isNotification) {
+        log('error', `Error handling notification ${message.method}: ${error.message}`);
+        return null;
+      }
+      if (cancelled.has(message.id)) {
+        return null;
+      }
+      if (error instanceof RpcError) {
+        return errorResponse(message.id, error.code, error.message, error.data);
+      }
+      log('error', `Error handling ${message.method}: ${error.message}`);
+      return errorResponse(message.id, ErrorCodes.INTERNAL_ERROR, error.message);
+    } finally {
+      if (controller) {
+        inFlight.delete(message.id);
+        cancelled.delete(message.id);
+      }
+    }
+  }
+
+  // Handle one raw line received from the host
+  async function handleLine(line) {
+    if (!line.trim()) {
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (parseError) {
+      send(errorResponse(null, ErrorCodes.PARSE_ERROR, `Parse error: ${parseError.message}`));
+      return;
+    }
+
+    if (Array.isArray(message)) {
+      if (message.length === 0) {
+        send(errorResponse(null, ErrorCodes.INVALID_REQUEST, 'Invalid Request'));
+        return;
+      }
+      const responses = (await Promise.all(message.map(dispatch))).filter(Boolean);
+      if (responses.length > 0) {
+        send(responses);
+      }
+    } else {
+      const response = await dispatch(message);
+      if (response) {
+        send(response);
+      }
+    }
+
+    if (state.shuttingDown) {
+      onShutdown();
+    }
+  }
+
+  // Track a line so that pending work can be drained before exit
+  function receive(line) {
+    const work = handleLine(line).catch((error) => {
+      log('error', `Unexpected transport error: ${error.message}`);
+    });
+    pending.add(work);
+    work.finally(() => pending.delete(work));
+    return work;
+  }
+
+  // Wait for all in-flight requests to finish
+  async function drain() {
+    while (pending.size > 0) {
+      await Promise.all([...pending]);
+    }
+  }
+
+  // Abort every request still being handled; they are answered with whatever their handler returns
+  function abortAll(reason) {
+    for (const controller of inFlight.values()) {
+      controller.abort(new Error(reason));
+    }
+  }
+
+  // Send a notification to the host
+  function notify(method, params) {
+    const message = { jsonrpc: '2.0', method };
+    if (params !== undefined) {
+      message.params = params;
+    }
+    send(message);
+  }
+
+  // Tell the host a resource changed, if it subscribed to it
+  function resourceUpdated(uri) {
+    if (state.subscriptions.has(uri)) {
+      notify('notifications/resources/updated', { uri });
+    }
+  }
+
+  // Tell the host the resource list changed
+  function resourceListChanged() {
+    if (state.protocolVersion) {
+      notify('notifications/resources/list_changed');
+    }
+  }
+
+  return {
+    receive,
+    drain,
+    abortAll,
+    notify,
+    resourceUpdated,
+    resourceListChanged,
+    state
+  };
+}
+
+// Serve MCP over this process's stdin/stdout until stdin closes
+export function startMcpServer(options) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const log = options.log || (() => {});
+
+  let closing = false;
+
+  const server = createMcpServer({
+    ...options,
+    send: (message) => {
+      output.write(JSON.stringify(message) + '\n');
+    },
+    onShutdown: () => {
+      if (!closing) {
+        log('info', 'Shutdown requested by host');
+        lines.close();
+      }
+    }
+  });
+
+  const lines = createInterface({
+    input,
+    crlfDelay: Infinity,
+    terminal: false
+  });
+
+  lines.on('line', (line) => {
+    server.receive(line);
+  });
+
+  // Requests still running drainTimeoutMs after input closes are aborted
+  const drainTimeoutMs = options.drainTimeoutMs === undefined ? 10000 : options.drainTimeoutMs;
+
+  lines.on('close', async () => {
+    closing = true;
+    log('info', 'Input closed, waiting for pending requests');
+
+    let timer;
+    const timedOut = await Promise.race([
+      server.drain().then(() => false),
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve(true), drainTimeoutMs);
+      })
+    ]);
+    clearTimeout(timer);
+    if (timedOut) {
+      log('warn', `Requests still pending after ${drainTimeoutMs} ms, aborting them`);
+      server.abortAll('Server shutting down');
+      await server.drain();
+    }
+
+    log('info', 'MCP server stopped');
+    if (options.onClose) {
+      options.onClose();
+    }
+  });
+
+  // Stop reading input and shut down as if it had closed
+  server.close = () => {
+    if (!closing) {
+      lines.close();
+    }
+  };
+
+  return server;
+}
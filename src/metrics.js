@@ -0,0 +1,337 @@
+/**
+ * Tool call metrics
+ * Records every tool call that reaches the server or the Agent API in metrics/<profile>/ under the
+ * config directory: one JSONL file of raw samples per day (tool, error code, latency, reply length),
+ * rolled up into one JSON file per day once the day is over. Rollups keep counts, errors by code
+ * and a latency histogram, so p50/p95/p99 can be estimated over any window and exported in the
+ * Prometheus text format. Windows older than today's samples are counted in whole days. Calls
+ * replayed from cassettes are not recorded.
+ */
+import fs from 'fs';
+import path from 'path';
+import { METRICS_DIR } from './config.js';
+import { logger } from './logger.js';
+import { getCassetteMode } from './cassette.js';
+
+// Defaults for config.metrics
+// prometheusFile: when set, the MCP server keeps it up to date for a node_exporter textfile collector
+export const DEFAULT_METRICS_SETTINGS = {
+  enabled: true,
+  retentionDays: 90,
+  prometheusFile: null
+};
+
+// Upper bounds of the latency histogram buckets, in milliseconds; the last bucket is unbounded
+export const LATENCY_BUCKETS_MS = [50, 100, 250, 500, 1000, 2000, 3000, 5000, 7500, 10000, 15000, 30000, 60000];
+
+// Units accepted in a window such as "30m", "24h" or "7d"
+const WINDOW_UNITS_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const DAY_MS = WINDOW_UNITS_MS.d;
+
+// Metrics settings for a config; AGENTFORCE_METRICS=off turns recording off
+export function metricsSettings(config) {
+  const settings = { ...DEFAULT_METRICS_SETTINGS, ...((config && config.metrics) || {}) };
+  if (/^(off|false|0|no)$/i.test(process.env.AGENTFORCE_METRICS || '')) {
+    settings.enabled = false;
+  }
+  return settings;
+}
+
+// Start of a window given as a duration ("30m", "24h", "7d", "2w") or a date; throws if it is neither
+export function parseWindow(text) {
+  const match = /^(\d+)\s*([mhdw])$/i.exec(String(text).trim());
+  if (match) {
+    return new Date(Date.now() - Number(match[1]) * WINDOW_UNITS_MS[match[2].toLowerCase()]);
+  }
+  const date = new Date(text);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid window: ${text} (expected e.g. 30m, 24h, 7d or a date)`);
+  }
+  return date;
+}
+
+// Directory holding a profile's metrics
+function profileDir(config) {
+  return path.join(METRICS_DIR, String(config.profile).replace(/[^A-Za-z0-9_.-]/g, '_'));
+}
+
+// UTC day of a date, as YYYY-MM-DD
+function dayOf(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Files of a profile's store: { samples: [{ day, file }], rollups: [{ day, file }] }
+function storeFiles(config) {
+  const dir = profileDir(config);
+  const files = { samples: [], rollups: [] };
+  if (!fs.existsSync(dir)) {
+    return files;
+  }
+  for (const name of fs.readdirSync(dir).sort()) {
+    const match = /^(\d{4}-\d{2}-\d{2})\.(jsonl|json)$/.exec(name);
+    if (match) {
+      files[match[2] === 'jsonl' ? 'samples' : 'rollups'].push({ day: match[1], file: path.join(dir, name) });
+    }
+  }
+  return files;
+}
+
+// Counters of one tool
+function emptyStats() {
+  return {
+    count: 0,
+    errors: {},
+    latencyBuckets: new Array(LATENCY_BUCKETS_MS.length + 1).fill(0),
+    latencySumMs: 0,
+    latencyMinMs: null,
+    latencyMaxMs: 0,
+    responseLengthSum: 0
+  };
+}
+
+// Count one sample into a tool's counters
+function addSample(stats, sample) {
+  const bucket = LATENCY_BUCKETS_MS.findIndex((bound) => sample.latencyMs <= bound);
+  stats.count++;
+  if (sample.code) {
+    stats.errors[sample.code] = (stats.errors[sample.code] || 0) + 1;
+  }
+  stats.latencyBuckets[bucket === -1 ? LATENCY_BUCKETS_MS.length : bucket]++;
+  stats.latencySumMs += sample.latencyMs;
+  stats.latencyMinMs = stats.latencyMinMs === null ? sample.latencyMs : Math.min(stats.latencyMinMs, sample.latencyMs);
+  stats.latencyMaxMs = Math.max(stats.latencyMaxMs, sample.latencyMs);
+  stats.responseLengthSum += sample.responseLength || 0;
+}
+
+// Add a tool's counters into another's
+function mergeStats(target, source) {
+  target.count += source.count;
+  for (const [code, count] of Object.entries(source.errors)) {
+    target.errors[code] = (target.errors[code] || 0) + count;
+  }
+  source.latencyBuckets.forEach((count, i) => {
+    target.latencyBuckets[i] += count;
+  });
+  target.latencySumMs += source.latencySumMs;
+  if (source.latencyMinMs !== null) {
+    target.latencyMinMs = target.latencyMinMs === null ? source.latencyMinMs : Math.min(target.latencyMinMs, source.latencyMinMs);
+  }
+  target.latencyMaxMs = Math.max(target.latencyMaxMs, source.latencyMaxMs);
+  target.responseLengthSum += source.responseLengthSum;
+}
+
+// Samples of one day file; unreadable lines are skipped
+function readSamples(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Roll the sample files of past days up into daily counters, then drop days past the retention period (0: keep all)
+export function rollupMetrics(config) {
+  const settings = metricsSettings(config);
+  const today = dayOf(new Date());
+  const oldest = dayOf(new Date(Date.now() - settings.retentionDays * DAY_MS));
+  const { samples, rollups } = storeFiles(config);
+
+  for (const { day, file } of samples.filter((item) => item.day < today)) {
+    const tools = {};
+    for (const sample of readSamples(file)) {
+      addSample(tools[sample.tool] || (tools[sample.tool] = emptyStats()), sample);
+    }
+    fs.writeFileSync(path.join(path.dirname(file), `${day}.json`), JSON.stringify({ day, tools }), { encoding: 'utf8', mode: 0o600 });
+    fs.unlinkSync(file);
+  }
+
+  if (settings.retentionDays > 0) {
+    for (const { day, file } of rollups.filter((item) => item.day < oldest)) {
+      fs.unlinkSync(file);
+    }
+  }
+}
+
+// Record one tool call
+// sample: { tool, code, latencyMs, responseLength }; code is the error code, or null when the call succeeded
+export function recordCall(config, sample) {
+  const settings = metricsSettings(config);
+  if (!settings.enabled || getCassetteMode() === 'replay') {
+    return;
+  }
+
+  try {
+    const now = new Date();
+    const file = path.join(profileDir(config), `${dayOf(now)}.jsonl`);
+    const isNew = !fs.existsSync(file);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify({ at: now.toISOString(), ...sample }) + '\n', { encoding: 'utf8', mode: 0o600 });
+
+    // The first call of a day rolls up the days before it
+    if (isNew) {
+      rollupMetrics(config);
+    }
+  } catch (error) {
+    logger.error('Error recording metrics', { error });
+  }
+}
+
+// Counters per tool over a window
+// options: { since (Date), tool }
+// Returns { profile, since, tools: { [name]: counters } }
+export function collectMetrics(config, options = {}) {
+  const since = options.since || null;
+  const sinceDay = since ? dayOf(since) : null;
+  const { samples, rollups } = storeFiles(config);
+  const tools = {};
+  const statsOf = (name) => tools[name] || (tools[name] = emptyStats());
+  const wanted = (name) => !options.tool || name === options.tool;
+
+  for (const { day, file } of rollups) {
+    if (sinceDay && day < sinceDay) {
+      continue;
+    }
+    try {
+      for (const [name, stats] of Object.entries(JSON.parse(fs.readFileSync(file, 'utf8')).tools)) {
+        if (wanted(name)) {
+          mergeStats(statsOf(name), stats);
+        }
+      }
+    } catch (error) {
+      logger.warn('Skipping unreadable metrics rollup', { file, error });
+    }
+  }
+
+  for (const { day, file } of samples) {
+    if (sinceDay && day < sinceDay) {
+      continue;
+    }
+    for (const sample of readSamples(file)) {
+      if (wanted(sample.tool) && (!since || new Date(sample.at) >= since)) {
+        addSample(statsOf(sample.tool), sample);
+      }
+    }
+  }
+
+  return { profile: config.profile, since, tools };
+}
+
+// Latency under which a fraction q of the calls completed, interpolated within its histogram bucket
+// The bucket is narrowed to the fastest and slowest calls seen, so a few calls give exact values
+function percentile(stats, q) {
+  if (stats.count === 0) {
+    return null;
+  }
+  const rank = q * stats.count;
+  let seen = 0;
+  for (let i = 0; i < stats.latencyBuckets.length; i++) {
+    const inBucket = stats.latencyBuckets[i];
+    if (inBucket > 0 && seen + inBucket >= rank) {
+      const lower = Math.max(i === 0 ? 0 : LATENCY_BUCKETS_MS[i - 1], stats.latencyMinMs);
+      const upper = Math.min(i < LATENCY_BUCKETS_MS.length ? LATENCY_BUCKETS_MS[i] : stats.latencyMaxMs, stats.latencyMaxMs);
+      return Math.round(lower + (upper - lower) * ((rank - seen) / inBucket));
+    }
+    seen += inBucket;
+  }
+  return stats.latencyMaxMs;
+}
+
+// Count, error rate and latency percentiles of one tool's counters
+function summarizeStats(stats) {
+  const errors = Object.values(stats.errors).reduce((sum, count) => sum + count, 0);
+  return {
+    count: stats.count,
+    errors,
+    errorRate: stats.count ? Number((errors / stats.count).toFixed(4)) : 0,
+    errorsByCode: stats.errors,
+    latencyMs: {
+      min: stats.latencyMinMs,
+      avg: stats.count ? Math.round(stats.latencySumMs / stats.count) : null,
+      p50: percentile(stats, 0.5),
+      p95: percentile(stats, 0.95),
+      p99: percentile(stats, 0.99),
+      max: stats.count ? stats.latencyMaxMs : null
+    },
+    avgResponseLength: stats.count ? Math.round(stats.responseLengthSum / stats.count) : null
+  };
+}
+
+// Report of collected metrics: totals and one entry per tool, busiest first
+export function summarizeMetrics(collected) {
+  const total = emptyStats();
+  const tools = Object.entries(collected.tools)
+    .map(([tool, stats]) => {
+      mergeStats(total, stats);
+      return { tool, ...summarizeStats(stats) };
+    })
+    .sort((a, b) => b.count - a.count || a.tool.localeCompare(b.tool));
+
+  return {
+    profile: collected.profile,
+    since: collected.since ? collected.since.toISOString() : null,
+    generatedAt: new Date().toISOString(),
+    total: summarizeStats(total),
+    tools
+  };
+}
+
+// Escape a Prometheus label value
+function labelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Collected metrics in the Prometheus text exposition format
+export function formatPrometheus(collected) {
+  const profile = labelValue(collected.profile);
+  const calls = [
+    '# HELP agentforce_tool_calls_total Tool calls by outcome; code is "ok" or the error code.',
+    '# TYPE agentforce_tool_calls_total counter'
+  ];
+  const latency = [
+    '# HELP agentforce_tool_latency_seconds Tool call latency.',
+    '# TYPE agentforce_tool_latency_seconds histogram'
+  ];
+
+  for (const [name, stats] of Object.entries(collected.tools).sort(([a], [b]) => a.localeCompare(b))) {
+    const labels = `profile="${profile}",tool="${labelValue(name)}"`;
+    const errors = Object.values(stats.errors).reduce((sum, count) => sum + count, 0);
+
+    calls.push(`agentforce_tool_calls_total{${labels},code="ok"} ${stats.count - errors}`);
+    for (const [code, count] of Object.entries(stats.errors).sort(([a], [b]) => a.localeCompare(b))) {
+      calls.push(`agentforce_tool_calls_total{${labels},code="${labelValue(code)}"} ${count}`);
+    }
+
+    let cumulative = 0;
+    LATENCY_BUCKETS_MS.forEach((bound, i) => {
+      cumulative += stats.latencyBuckets[i];
+      latency.push(`agentforce_tool_latency_seconds_bucket{${labels},le="${bound / 1000}"} ${cumulative}`);
+    });
+    latency.push(`agentforce_tool_latency_seconds_bucket{${labels},le="+Inf"} ${stats.count}`);
+    latency.push(`agentforce_tool_latency_seconds_sum{${labels}} ${stats.latencySumMs / 1000}`);
+    latency.push(`agentforce_tool_latency_seconds_count{${labels}} ${stats.count}`);
+  }
+
+  return [...calls, ...latency].join('\n') + '\n';
+}
+
+// Write all retained metrics to a file in the Prometheus format
+// The file is replaced in one step so a collector never reads it half written
+export function writePrometheusFile(config, file) {
+  const target = path.resolve(file);
+  const temporary = `${target}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(temporary, formatPrometheus(collectMetrics(config)), 'utf8');
+  fs.renameSync(temporary, target);
+}
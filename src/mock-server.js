@@ -0,0 +1,418 @@
+/**
+ * Mock Reliable Server
+ * A local stand-in for agentforce-reliable-server implementing its HTTP contract
+ * (GET /, POST /mcp/call-tool and POST /mcp/cancel) with agent replies from a scenario, so the client and its
+ * error branches can be exercised with no Salesforce org and no network.
+ *
+ * A scenario looks like:
+ *   {
+ *     name, greeting,
+ *     latencyMs,          // delay before every response: a number or [min, max]
+ *     streamDelayMs,      // delay between streamed words
+ *     apiKey,             // x-api-key the server requires (none when unset)
+ *     sessionTtlMs,       // idle time after which a session expires (0: never)
+ *     maxMessages,        // messages after which a session expires (0: no limit)
+ *     replies: [{ match, reply, messages, delayMs }],   // first match wins; match is text or "/regex/flags"
+ *     errors: [{ tool, match, call, times, probability, status, type, retryAfter, durationMs }]
+ *   }
+ * An error rule fires for calls matching tool/match/call (the nth call of that tool), at most `times`
+ * times, with the given probability. It either answers with HTTP `status` (e.g. 401, 429, 500), or has
+ * `type` "timeout" (no answer for durationMs, or until the client gives up), "malformed" (invalid JSON)
+ * or "session_expired" (the session is dropped).
+ * A reply's `messages` are Agent API messages (Inform with citedReferences or result, Inquire with choices,
+ * Escalate, Failure...) sent along with its text; without a `reply`, the text is made from them.
+ */
+import http from 'http';
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+
+// Scenario used when none is given: echo every message
+export const DEFAULT_SCENARIO = {
+  name: 'echo',
+  greeting: 'Hello! I am a mock AgentForce agent. How can I help?',
+  latencyMs: 0,
+  sessionTtlMs: 0,
+  maxMessages: 0,
+  replies: [{ reply: 'You said: {{message}}' }],
+  errors: []
+};
+
+// Error body for each injectable HTTP status
+const STATUS_ERRORS = {
+  401: { code: 'unauthorized', message: 'Invalid API key' },
+  403: { code: 'forbidden', message: 'Forbidden' },
+  404: { code: 'not_found', message: 'Not found' },
+  429: { code: 'rate_limited', message: 'Too many requests' },
+  500: { code: 'internal_error', message: 'Internal server error' },
+  502: { code: 'bad_gateway', message: 'Bad gateway' },
+  503: { code: 'unavailable', message: 'Service unavailable' },
+  504: { code: 'gateway_timeout', message: 'Gateway timeout' }
+};
+
+// Read a scenario file (JSON) and fill in defaults
+export function loadScenario(filePath) {
+  const scenario = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { ...DEFAULT_SCENARIO, ...scenario };
+}
+
+// Match text against a rule pattern: case-insensitive substring, or "/regex/flags"
+function matches(pattern, text) {
+  if (pattern === undefined) {
+    return true;
+  }
+  const regex = String(pattern).match(/^\/(.*)\/([a-z]*)$/);
+  if (regex) {
+    return new RegExp(regex[1], regex[2]).test(text);
+  }
+  return String(text).toLowerCase().includes(String(pattern).toLowerCase());
+}
+
+// Delay for a latency setting: a number of milliseconds or a [min, max] range
+function pickLatency(latency) {
+  if (Array.isArray(latency)) {
+    const [min, max] = latency;
+    return min + Math.floor(Math.random() * (max - min + 1));
+  }
+  return latency || 0;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Tool result helpers
+function textResult(text, extra = {}) {
+  return { content: [{ type: 'text', text }], ...extra };
+}
+
+function errorResult(code, message) {
+  return textResult(message, { error: { code, message } });
+}
+
+// Create a mock server
+// options: { scenario, log(level, message), version }
+// Returns { listen(port, host), close(), inject(rule), reset(), clients, calls, cancelled, url }
+export function createMockServer(options = {}) {
+  const scenario = { ...DEFAULT_SCENARIO, ...(options.scenario || {}) };
+  const log = options.log || (() => {});
+  const rules = (scenario.errors || []).map((rule) => ({ ...rule, fired: 0 }));
+
+  // Per client id: { authenticated, agentId, session: { id, messages, lastUsedAt } }
+  const clients = new Map();
+  // Calls per tool name, for `call` rules
+  const callCounts = new Map();
+  // Every call received: { tool, args, requestId, idempotencyKey, at }
+  const calls = [];
+  // Responses by Idempotency-Key
+  const idempotent = new Map();
+  // Request ids of calls still waiting to run, and of every call cancelled through /mcp/cancel
+  const waiting = new Set();
+  const cancelled = [];
+  // Open sockets, so close() does not wait for hanging requests
+  const sockets = new Set();
+  let replyIndex = 0;
+
+  // First error rule that fires for this call
+  function pickErrorRule(toolName, args, callNumber) {
+    const rule = rules.find((candidate) =>
+      (!candidate.tool || candidate.tool === toolName) &&
+      (candidate.call === undefined || candidate.call === callNumber) &&
+      matches(candidate.match, args.message || '') &&
+      (candidate.times === undefined || candidate.fired < candidate.times) &&
+      (candidate.probability === undefined || Math.random() < candidate.probability));
+    if (rule) {
+      rule.fired++;
+    }
+    return rule || null;
+  }
+
+  // Agent reply for a message
+  function replyFor(message) {
+    const rule = (scenario.replies || []).find((candidate) => matches(candidate.match, message));
+    if (!rule) {
+      return { text: `You said: ${message}` };
+    }
+    let reply = rule.reply;
+    if (Array.isArray(reply)) {
+      reply = reply[replyIndex++ % reply.length];
+    }
+    if (reply === undefined && Array.isArray(rule.messages)) {
+      reply = rule.messages.map((item) => item.message || '').filter(Boolean).join('\n\n');
+    }
+    return { text: String(reply).replace(/\{\{message\}\}/g, message), messages: rule.messages, delayMs: rule.delayMs };
+  }
+
+  // Whether a session has expired by idle time or message count
+  function isExpired(session) {
+    if (scenario.sessionTtlMs && Date.now() - session.lastUsedAt > scenario.sessionTtlMs) {
+      return true;
+    }
+    return Boolean(scenario.maxMessages) && session.messages >= scenario.maxMessages;
+  }
+
+  // Run one tool; resolves with a tool result
+  async function runTool(name, args) {
+    const clientId = args.clientId || 'default';
+    const client = clients.get(clientId) || { authenticated: false, session: null };
+    clients.set(clientId, client);
+
+    switch (name) {
+      case 'agentforce_authenticate': {
+        const agentId = args.config && args.config.agentId;
+        if (!agentId) {
+          return errorResult('authentication_error', 'Missing agentId in config');
+        }
+        client.authenticated = true;
+        client.agentId = agentId;
+        client.session = null;
+        return textResult(`Successfully authenticated with Salesforce for agent ${agentId}`);
+      }
+
+      case 'agentforce_create_session': {
+        if (!client.authenticated) {
+          return errorResult('not_authenticated', 'Client is not authenticated');
+        }
+        const sessionId = uuidv4();
+        client.session = { id: sessionId, messages: 0, lastUsedAt: Date.now() };
+        return textResult(`Session created: ${sessionId}${scenario.greeting ? `\n\n${scenario.greeting}` : ''}`, { sessionId });
+      }
+
+      case 'agentforce_send_message': {
+        if (!client.session) {
+          return errorResult('no_active_session', 'No active session');
+        }
+        if (isExpired(client.session)) {
+          client.session = null;
+          return errorResult('session_expired', 'Session has expired');
+        }
+        client.session.messages++;
+        client.session.lastUsedAt = Date.now();
+        const reply = replyFor(args.message || '');
+        if (reply.delayMs) {
+          await sleep(reply.delayMs);
+        }
+        return textResult(reply.text, reply.messages ? { messages: reply.messages } : {});
+      }
+
+      case 'agentforce_get_status':
+        return textResult(JSON.stringify({
+          mode: 'mock',
+          scenario: scenario.name,
+          clientId,
+          authenticated: client.authenticated,
+          agentId: client.agentId || null,
+          sessionId: client.session ? client.session.id : null,
+          messages: client.session ? client.session.messages : 0
+        }, null, 2));
+
+      case 'agentforce_reset':
+        clients.delete(clientId);
+        return textResult('Client reset');
+
+      default:
+        return errorResult('unknown_tool', `Unknown tool: ${name}`);
+    }
+  }
+
+  function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  // Stream a result as Server-Sent Events, one word at a time
+  async function sendStream(res, result) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    if (!result.error) {
+      const words = result.content[0].text.split(/(?<=\s)/);
+      for (const word of words) {
+        res.write(`event: chunk\ndata: ${JSON.stringify({ text: word })}\n\n`);
+        await sleep(pickLatency(scenario.streamDelayMs));
+      }
+    }
+    res.write(`event: result\ndata: ${JSON.stringify({ result })}\n\n`);
+    res.write('event: done\ndata: {}\n\n');
+    res.end();
+  }
+
+  // Apply an error rule; returns true if the response has been handled
+  async function applyErrorRule(rule, req, res, client) {
+    log('info', `Injecting ${rule.type || rule.status} for ${req.url}`);
+
+    if (rule.type === 'timeout') {
+      if (rule.durationMs) {
+        await sleep(rule.durationMs);
+        sendJson(res, 504, { error: STATUS_ERRORS[504] });
+      }
+      // Otherwise never answer: the client's timeout fires
+      return true;
+    }
+    if (rule.type === 'malformed') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"result": {"content": [{"type": "text", "text": "trunc');
+      return true;
+    }
+    if (rule.type === 'session_expired') {
+      if (client) {
+        client.session = null;
+      }
+      return false;
+    }
+
+    const status = rule.status || 500;
+    const headers = status === 429 && rule.retryAfter !== undefined ? { 'Retry-After': String(rule.retryAfter) } : {};
+    sendJson(res, status, { error: STATUS_ERRORS[status] || { code: 'error', message: `HTTP ${status}` } }, headers);
+    return true;
+  }
+
+  async function handleCallTool(req, res, body) {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      sendJson(res, 400, { error: { code: 'invalid_json', message: 'Request body is not valid JSON' } });
+      return;
+    }
+
+    const tool = payload.tool || {};
+    const args = tool.args || {};
+    const callNumber = (callCounts.get(tool.name) || 0) + 1;
+    callCounts.set(tool.name, callNumber);
+    calls.push({ tool: tool.name, args, requestId: req.headers['x-request-id'], idempotencyKey: req.headers['idempotency-key'], at: new Date().toISOString() });
+    log('info', `${tool.name} #${callNumber}`);
+
+    const requestId = req.headers['x-request-id'];
+    waiting.add(requestId);
+    await sleep(pickLatency(scenario.latencyMs));
+    waiting.delete(requestId);
+
+    // A call cancelled while it waited never runs
+    if (cancelled.includes(requestId)) {
+      log('info', `${tool.name} #${callNumber} cancelled, not run`);
+      sendJson(res, 409, { error: { code: 'cancelled', message: 'Call cancelled' } });
+      return;
+    }
+
+    const rule = pickErrorRule(tool.name, args, callNumber);
+    if (rule && await applyErrorRule(rule, req, res, clients.get(args.clientId || 'default'))) {
+      return;
+    }
+
+    const key = req.headers['idempotency-key'];
+    let result = key && idempotent.get(key);
+    if (!result) {
+      result = await runTool(tool.name, args);
+      if (key) {
+        idempotent.set(key, result);
+      }
+    }
+
+    const accept = String(req.headers.accept || '');
+    if (payload.stream && accept.includes('text/event-stream')) {
+      await sendStream(res, result);
+    } else {
+      sendJson(res, 200, { result });
+    }
+  }
+
+  async function handle(req, res, body) {
+    if (scenario.apiKey && req.headers['x-api-key'] !== scenario.apiKey) {
+      sendJson(res, 401, { error: STATUS_ERRORS[401] });
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/') {
+      sendJson(res, 200, {
+        name: 'agentforce-reliable-server (mock)',
+        version: options.version || '0.0.0',
+        status: 'ok',
+        mode: 'mock',
+        scenario: scenario.name
+      });
+      return;
+    }
+
+    if (req.method === 'POST' && req.url === '/mcp/call-tool') {
+      await handleCallTool(req, res, body);
+      return;
+    }
+
+    if (req.method === 'POST' && req.url === '/mcp/cancel') {
+      const { requestId } = JSON.parse(body || '{}');
+      const pending = waiting.has(requestId);
+      cancelled.push(requestId);
+      log('info', `Cancel ${requestId}${pending ? '' : ' (not pending)'}`);
+      sendJson(res, 200, { result: { cancelled: pending } });
+      return;
+    }
+
+    sendJson(res, 404, { error: STATUS_ERRORS[404] });
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      handle(req, res, body).catch((error) => {
+        log('error', `Mock server error: ${error.message}`);
+        if (!res.headersSent) {
+          sendJson(res, 500, { error: { code: 'internal_error', message: error.message } });
+        } else {
+          res.end();
+        }
+      });
+    });
+  });
+
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  const mock = {
+    clients,
+    calls,
+    cancelled,
+    url: null,
+
+    // Start listening; port 0 picks a free port. Resolves with the base URL
+    listen(port = 3000, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          mock.url = `http://${host}:${server.address().port}`;
+          resolve(mock.url);
+        });
+      });
+    },
+
+    // Stop listening, dropping requests that are still hanging
+    close() {
+      for (const socket of sockets) {
+        socket.destroy();
+      }
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+
+    // Add an error rule at runtime
+    inject(rule) {
+      rules.push({ ...rule, fired: 0 });
+    },
+
+    // Forget clients and calls, and re-arm error rules that already fired
+    reset() {
+      clients.clear();
+      callCounts.clear();
+      idempotent.clear();
+      calls.length = 0;
+      cancelled.length = 0;
+      for (const rule of rules) {
+        rule.fired = 0;
+      }
+    }
+  };
+
+  return mock;
+}
@@ -0,0 +1,233 @@
+/**
+ * MCP prompts
+ * Prompt templates for common AgentForce workflows, offered in the host's prompt picker. Built-in
+ * templates are combined with user templates read from the prompts directory of the config folder,
+ * one JSON or YAML file per template:
+ *   name: refund_request
+ *   description: Ask the agent to refund an order
+ *   arguments:
+ *     - { name: orderNumber, description: Order to refund, required: true }
+ *     - { name: amount, type: number }
+ *     - { name: channel, enum: [email, phone] }
+ *   messages:                 # or `template: "..."` for a single user message
+ *     - role: user
+ *       text: Send agentforce_send_message "Refund order {{orderNumber}} ({{amount}})"
+ *
+ * Arguments arrive as strings; typed ones (number, integer, boolean) are converted and checked
+ * before the template is rendered. A user template with the name of a built-in replaces it.
+ */
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { PROMPTS_DIR, loadConfig } from './config.js';
+import { validate } from './schema.js';
+import { logger } from './logger.js';
+import { readResource, transcriptUri } from './resources.js';
+import { getClientId, getClientState } from './session.js';
+import { listTranscripts } from './transcripts.js';
+
+// Argument types a template may declare
+const ARGUMENT_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+// A user message with text content
+function userText(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+// Built-in templates in the order they are advertised
+// render(args) resolves with the prompt messages
+const BUILT_IN_PROMPTS = [
+  {
+    name: 'agentforce_support_conversation',
+    description: 'Start a support conversation with an AgentForce agent.',
+    arguments: [
+      { name: 'message', description: 'First message to send to the agent.', required: true },
+      { name: 'agentId', description: 'AgentForce agent id. Defaults to the agent the client is configured for.' }
+    ],
+    render: (args) => [userText([
+      args.agentId
+        ? `Start a new support conversation with the AgentForce agent ${args.agentId}: authenticate with agentforce_authenticate (config.agentId "${args.agentId}"), then create a session with agentforce_create_session.`
+        : 'Start a new support conversation with the AgentForce agent: create a session with agentforce_create_session (authenticate with agentforce_authenticate first if it reports that the client is not authenticated).',
+      `Then send this message with agentforce_send_message:\n\n${args.message}`,
+      'Show me the agent\'s reply, and keep using agentforce_send_message in this session for my follow-up messages.'
+    ].join('\n\n'))]
+  },
+  {
+    name: 'agentforce_escalate_case',
+    description: 'Ask the AgentForce agent to escalate a case to a human.',
+    arguments: [
+      { name: 'caseNumber', description: 'Number of the case to escalate.', required: true },
+      { name: 'reason', description: 'Why the case needs a human.', required: true },
+      { name: 'priority', description: 'Priority to request: low, medium, high or urgent.', enum: ['low', 'medium', 'high', 'urgent'] }
+    ],
+    render: (args) => [userText([
+      'Use agentforce_send_message to ask the AgentForce agent, in the current session, to escalate this case to a human agent:',
+      [
+        `Case: ${args.caseNumber}`,
+        `Reason: ${args.reason}`,
+        ...(args.priority ? [`Requested priority: ${args.priority}`] : [])
+      ].join('\n'),
+      'Then tell me whether the escalation succeeded, and any case or queue details the agent gave.'
+    ].join('\n\n'))]
+  },
+  {
+    name: 'agentforce_summarize_session',
+    description: 'Summarize a conversation with the AgentForce agent from its transcript.',
+    arguments: [
+      { name: 'sessionId', description: 'Session to summarize. Defaults to the current session, or the most recent one.' }
+    ],
+    render: async (args) => {
+      const config = loadConfig();
+      const session = getClientState(config, getClientId(config)).session;
+      const latest = listTranscripts(config)[0];
+      const sessionId = args.sessionId || (session && session.id) || (latest && latest.sessionId);
+      const transcript = sessionId ? await readResource(transcriptUri(sessionId)) : null;
+
+      if (!transcript) {
+        return [userText(`Summarize my conversation with the AgentForce agent${sessionId ? ` in session ${sessionId}` : ''}. Fetch it with agentforce_get_transcript first.`)];
+      }
+      return [
+        { role: 'user', content: { type: 'resource', resource: transcript.contents[0] } },
+        userText('Summarize this conversation with the AgentForce agent: what was asked, what the agent answered or did, and anything left unresolved.')
+      ];
+    }
+  }
+];
+
+// Replace {{name}} placeholders with argument values; unknown or missing arguments become empty
+function fillTemplate(text, args) {
+  return String(text).replace(/\{\{\s*([A-Za-z0-9_-]+)\s*\}\}/g, (_, name) => (args[name] === undefined ? '' : String(args[name])));
+}
+
+// Turn a user template file's contents into a prompt definition; throws if it is invalid
+function userPrompt(definition, filePath) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('template must be an object');
+  }
+
+  const name = definition.name || path.basename(filePath, path.extname(filePath));
+  if (!/^[A-Za-z0-9_-]{1,64}$/.test(name)) {
+    throw new Error(`invalid prompt name: ${name}`);
+  }
+
+  const promptArguments = definition.arguments || [];
+  if (!Array.isArray(promptArguments)) {
+    throw new Error('"arguments" must be a list');
+  }
+  for (const argument of promptArguments) {
+    if (!argument || typeof argument.name !== 'string' || !argument.name) {
+      throw new Error('every argument needs a name');
+    }
+    if (argument.type !== undefined && !ARGUMENT_TYPES.includes(argument.type)) {
+      throw new Error(`argument ${argument.name}: type must be one of ${ARGUMENT_TYPES.join(', ')}`);
+    }
+  }
+
+  const messages = definition.template !== undefined ? [{ role: 'user', text: definition.template }] : definition.messages;
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new Error('"messages" or "template" is required');
+  }
+  for (const message of messages) {
+    if (!message || !['user', 'assistant'].includes(message.role) || typeof message.text !== 'string') {
+      throw new Error('every message needs a role (user or assistant) and a text');
+    }
+  }
+
+  return {
+    name,
+    description: definition.description,
+    arguments: promptArguments,
+    file: filePath,
+    render: (args) => messages.map((message) => ({
+      role: message.role,
+      content: { type: 'text', text: fillTemplate(message.text, args) }
+    }))
+  };
+}
+
+// Read the user templates in a directory, skipping (and logging) invalid ones
+export function loadPromptTemplates(dir = PROMPTS_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const prompts = [];
+  for (const file of fs.readdirSync(dir).filter((name) => /\.(json|ya?ml)$/i.test(name)).sort()) {
+    const filePath = path.join(dir, file);
+    try {
+      const text = fs.readFileSync(filePath, 'utf8');
+      prompts.push(userPrompt(/\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text), filePath));
+    } catch (error) {
+      logger.error('Skipping invalid prompt template', { file: filePath, error });
+    }
+  }
+  return prompts;
+}
+
+// Built-in and user templates; user templates are read on every call so edits show up without a restart
+export function getPrompts() {
+  const prompts = new Map(BUILT_IN_PROMPTS.map((prompt) => [prompt.name, prompt]));
+  for (const prompt of loadPromptTemplates()) {
+    prompts.set(prompt.name, prompt);
+  }
+  return [...prompts.values()];
+}
+
+// Look up a template by name
+export function getPrompt(name) {
+  return getPrompts().find((prompt) => prompt.name === name) || null;
+}
+
+// Prompt list in the shape returned by MCP prompts/list
+export function listPrompts() {
+  return getPrompts().map((prompt) => ({
+    name: prompt.name,
+    description: prompt.description,
+    arguments: prompt.arguments.map((argument) => ({
+      name: argument.name,
+      description: argument.description,
+      required: Boolean(argument.required)
+    }))
+  }));
+}
+
+// Convert string arguments to their declared types and check them
+// Returns { values, errors }; errors use the { path, message } shape of the schema validator
+export function preparePromptArgs(prompt, args = {}) {
+  const values = { ...args };
+  const schema = { type: 'object', properties: {}, required: [] };
+
+  for (const argument of prompt.arguments) {
+    const type = argument.type || 'string';
+    const value = values[argument.name];
+    schema.properties[argument.name] = { type };
+    if (argument.enum) {
+      schema.properties[argument.name].enum = argument.enum;
+    }
+    if (argument.required) {
+      schema.required.push(argument.name);
+      if (type === 'string') {
+        schema.properties[argument.name].minLength = 1;
+      }
+    }
+
+    if (value === '' && !argument.required) {
+      delete values[argument.name];
+    } else if (typeof value === 'string' && (type === 'number' || type === 'integer') && value.trim() !== '' && !isNaN(Number(value))) {
+      values[argument.name] = Number(value);
+    } else if (typeof value === 'string' && type === 'boolean' && /^(true|false)$/i.test(value)) {
+      values[argument.name] = value.toLowerCase() === 'true';
+    }
+  }
+
+  return { values, errors: validate(schema, values, 'arguments') };
+}
+
+// Render a template with prepared arguments into an MCP prompts/get result
+export async function renderPrompt(prompt, values) {
+  const result = { messages: await prompt.render(values) };
+  if (prompt.description) {
+    result.description = prompt.description;
+  }
+  return result;
+}
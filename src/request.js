@@ -0,0 +1,384 @@
+/**
+ * Reliable request layer
+ * Every call to the Reliable Server's /mcp/call-tool endpoint goes through postToolCall, which adds
+ * a token-bucket rate limit, retries with jittered exponential backoff, Retry-After handling,
+ * idempotency keys and a circuit breaker.
+ */
+import axios from 'axios';
+import { logger } from './logger.js';
+import { getCassetteMode, recordInteraction, replayInteraction } from './cassette.js';
+import { requestAgents } from './transport.js';
+
+// Default reliability policy, overridable through config.reliability
+export const DEFAULT_RELIABILITY = {
+  retries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+  maxRetryAfterMs: 30000,
+  retryOnStatus: [408, 429, 500, 502, 503, 504],
+  circuitBreaker: {
+    failureThreshold: 5,
+    resetTimeoutMs: 30000
+  }
+};
+
+// Network errors where the request never reached the server, so any tool can be retried safely
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// Statuses where the server explicitly refused the request without processing it
+const REJECTED_STATUSES = [429, 503];
+
+// Circuit breaker state per server URL
+const circuits = new Map();
+
+// Default client-side rate limit, overridable through config.rateLimit
+// A request waits for a token up to maxWaitMs; beyond that it fails as rate limited without being sent.
+// maxQueueDepth caps the messages queued per session (see turn-queue.js).
+export const DEFAULT_RATE_LIMIT = {
+  enabled: true,
+  requestsPerSecond: 5,
+  burst: 10,
+  maxWaitMs: 10000,
+  maxQueueDepth: 10
+};
+
+// Token buckets per profile: every server of a profile talks to the same org
+const buckets = new Map();
+
+// Merge the configured policy over the defaults
+export function resolvePolicy(config) {
+  const configured = (config && config.reliability) || {};
+  return {
+    ...DEFAULT_RELIABILITY,
+    ...configured,
+    circuitBreaker: {
+      ...DEFAULT_RELIABILITY.circuitBreaker,
+      ...(configured.circuitBreaker || {})
+    }
+  };
+}
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Full-jitter exponential backoff delay for a zero-based attempt number
+export function backoffDelay(policy, attempt) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+// Whether a failure counts against the circuit breaker (network errors and 5xx, not client errors)
+function isServerFailure(error) {
+  if (!axios.isAxiosError(error) || axios.isCancel(error)) {
+    return false;
+  }
+  return !error.response || error.response.status >= 500;
+}
+
+// Decide whether a failed attempt may be retried
+function isRetryable(error, policy, idempotent) {
+  if (!axios.isAxiosError(error)) {
+    return false;
+  }
+  if (error.code && CONNECT_ERROR_CODES.includes(error.code)) {
+    return true;
+  }
+  if (error.response) {
+    const { status } = error.response;
+    if (REJECTED_STATUSES.includes(status)) {
+      return true;
+    }
+    return idempotent && policy.retryOnStatus.includes(status);
+  }
+  // Timeouts and dropped connections: the server may already have acted on the request
+  return idempotent;
+}
+
+// Error thrown without contacting the server while the circuit is open
+export function circuitOpenError(serverUrl, circuit, retryInMs) {
+  const error = new Error(
+    `AgentForce Reliable Server at ${serverUrl} is unavailable ` +
+    `(circuit open after ${circuit.failures} consecutive failures); retry in ${Math.ceil(retryInMs / 1000)}s`
+  );
+  error.code = 'circuit_open';
+  return error;
+}
+
+// Get (or create) the breaker for a server
+function getCircuit(serverUrl) {
+  if (!circuits.has(serverUrl)) {
+    circuits.set(serverUrl, { state: 'closed', failures: 0, openedAt: 0 });
+  }
+  return circuits.get(serverUrl);
+}
+
+// Throw if the breaker is open; move to half-open once the reset timeout has passed
+function checkCircuit(serverUrl, policy) {
+  const circuit = getCircuit(serverUrl);
+  if (circuit.state !== 'open') {
+    return;
+  }
+  const elapsed = Date.now() - circuit.openedAt;
+  if (elapsed < policy.circuitBreaker.resetTimeoutMs) {
+    throw circuitOpenError(serverUrl, circuit, policy.circuitBreaker.resetTimeoutMs - elapsed);
+  }
+  circuit.state = 'half-open';
+  logger.info('Circuit half-open, allowing a trial request', { serverUrl });
+}
+
+// Record the outcome of a request in the breaker
+function recordOutcome(serverUrl, policy, failed) {
+  const circuit = getCircuit(serverUrl);
+  if (!failed) {
+    if (circuit.state !== 'closed') {
+      logger.info('Circuit closed', { serverUrl });
+    }
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    return;
+  }
+
+  circuit.failures++;
+  if (circuit.state === 'half-open' || circuit.failures >= policy.circuitBreaker.failureThreshold) {
+    if (circuit.state !== 'open') {
+      logger.warn('Circuit opened', { serverUrl, failures: circuit.failures });
+    }
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+  }
+}
+
+// Current breaker state for a server, for status reporting
+export function getCircuitState(serverUrl) {
+  const { state, failures, openedAt } = getCircuit(serverUrl);
+  return { state, failures, openedAt: openedAt ? new Date(openedAt).toISOString() : null };
+}
+
+// Forget all breaker state
+export function resetCircuits() {
+  circuits.clear();
+}
+
+// Merge the configured rate limit over the defaults
+export function resolveRateLimit(config) {
+  return { ...DEFAULT_RATE_LIMIT, ...((config && config.rateLimit) || {}) };
+}
+
+// Error for a request the rate limit did not let through
+export function rateLimitedError(message, retryInMs) {
+  const error = new Error(message);
+  error.code = 'rate_limited';
+  if (retryInMs !== undefined) {
+    error.retryInMs = retryInMs;
+  }
+  return error;
+}
+
+// Get (or create) a profile's bucket, refilled for the time since it was last used
+function getBucket(config, limit) {
+  const key = config.profile;
+  const now = Date.now();
+  if (!buckets.has(key)) {
+    buckets.set(key, { tokens: limit.burst, updatedAt: now, rejected: 0 });
+  }
+  const bucket = buckets.get(key);
+  bucket.tokens = Math.min(limit.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.requestsPerSecond);
+  bucket.updatedAt = now;
+  return bucket;
+}
+
+// Take a token from the profile's bucket, waiting for one if needed
+// Tokens are reserved in arrival order, so waiting requests go out first come, first served
+export async function acquireToken(config, signal) {
+  const limit = resolveRateLimit(config);
+  if (!limit.enabled || !(limit.requestsPerSecond > 0)) {
+    return;
+  }
+
+  const bucket = getBucket(config, limit);
+  const wait = bucket.tokens >= 1 ? 0 : Math.ceil(((1 - bucket.tokens) / limit.requestsPerSecond) * 1000);
+  if (wait > limit.maxWaitMs) {
+    bucket.rejected++;
+    logger.warn('Rate limited', { wait, maxWaitMs: limit.maxWaitMs });
+    throw rateLimitedError(`over the limit of ${limit.requestsPerSecond} requests per second; retry in ${Math.ceil(wait / 1000)}s`, wait);
+  }
+
+  bucket.tokens--;
+  if (wait > 0) {
+    logger.debug('Waiting for the rate limit', { wait });
+    try {
+      await sleep(wait, signal);
+    } catch (error) {
+      // A request that is not sent gives its token back
+      bucket.tokens++;
+      throw error;
+    }
+  }
+}
+
+// Current bucket state for a profile, for status reporting
+export function getRateLimitState(config) {
+  const limit = resolveRateLimit(config);
+  const bucket = getBucket(config, limit);
+  return {
+    enabled: limit.enabled,
+    requestsPerSecond: limit.requestsPerSecond,
+    burst: limit.burst,
+    availableTokens: Math.max(0, Math.floor(bucket.tokens)),
+    rejected: bucket.rejected
+  };
+}
+
+// Error thrown when the caller aborted the request
+export function cancelledError(signal) {
+  const reason = signal && signal.reason;
+  const error = new Error(reason instanceof Error ? reason.message : (reason ? String(reason) : 'Request cancelled'));
+  error.code = 'cancelled';
+  return error;
+}
+
+// Wait between attempts; rejects early if the signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError(signal));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+// POST a tool call to the Reliable Server, or serve it from a cassette when replaying
+// options: { requestId, timeout, idempotent, idempotencyKey, headers, responseType, signal }
+// A request carrying an idempotency key is treated as idempotent: the server deduplicates retries by key.
+export async function postToolCall(config, body, options = {}) {
+  const cassetteMode = getCassetteMode();
+  if (cassetteMode === 'replay') {
+    return replayInteraction(body);
+  }
+  if (cassetteMode !== 'record') {
+    return sendToolCall(config, body, options);
+  }
+
+  const startTime = Date.now();
+  let outcome;
+  try {
+    outcome = { response: await sendToolCall(config, body, options) };
+    return outcome.response;
+  } catch (error) {
+    outcome = { error };
+    throw error;
+  } finally {
+    recordInteraction(`${config.serverUrl}/mcp/call-tool`, requestHeaders(config, options), body, outcome, Date.now() - startTime);
+  }
+}
+
+// Headers sent with a tool call
+function requestHeaders(config, options) {
+  const headers = {
+    'x-api-key': config.apiKey,
+    'x-request-id': options.requestId,
+    'Content-Type': 'application/json',
+    ...(options.headers || {})
+  };
+  if (options.idempotencyKey) {
+    headers['Idempotency-Key'] = options.idempotencyKey;
+  }
+  return headers;
+}
+
+// POST a tool call, retrying and tracking the circuit breaker
+async function sendToolCall(config, body, options) {
+  const policy = resolvePolicy(config);
+  const serverUrl = config.serverUrl;
+  const idempotent = Boolean(options.idempotent || options.idempotencyKey);
+
+  const headers = requestHeaders(config, options);
+  const agents = requestAgents(config, serverUrl);
+
+  for (let attempt = 0; ; attempt++) {
+    if (options.signal && options.signal.aborted) {
+      throw cancelledError(options.signal);
+    }
+    checkCircuit(serverUrl, policy);
+    await acquireToken(config, options.signal);
+
+    try {
+      const response = await axios.post(`${serverUrl}/mcp/call-tool`, body, {
+        headers,
+        timeout: options.timeout,
+        responseType: options.responseType,
+        signal: options.signal,
+        ...agents
+      });
+      recordOutcome(serverUrl, policy, false);
+      return response;
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        throw cancelledError(options.signal);
+      }
+      recordOutcome(serverUrl, policy, isServerFailure(error));
+
+      if (attempt >= policy.retries || !isRetryable(error, policy, idempotent)) {
+        throw error;
+      }
+
+      let delay = backoffDelay(policy, attempt);
+      const retryAfter = error.response ? parseRetryAfter(error.response.headers['retry-after']) : null;
+      if (retryAfter !== null) {
+        if (retryAfter > policy.maxRetryAfterMs) {
+          logger.warn('Server asked to retry later than allowed, giving up', { retryAfter });
+          throw error;
+        }
+        delay = retryAfter;
+      }
+
+      logger.warn('Request failed, retrying', {
+        attempt: attempt + 1,
+        retries: policy.retries,
+        delay,
+        status: error.response ? error.response.status : undefined,
+        reason: error.code || error.message
+      });
+      await sleep(delay, options.signal);
+    }
+  }
+}
+
+// Ask the server to stop working on a call the caller gave up on; best effort, never throws
+// Servers without a cancel endpoint answer 404 and the call simply runs to completion there
+export async function cancelToolCall(config, requestId, timeout = 5000) {
+  try {
+    await axios.post(`${config.serverUrl}/mcp/cancel`, { requestId }, {
+      headers: requestHeaders(config, { requestId }),
+      timeout,
+      ...requestAgents(config, config.serverUrl)
+    });
+    logger.info('Asked the server to cancel the call', { cancelledRequestId: requestId });
+  } catch (error) {
+    const status = error.response && error.response.status;
+    if ([404, 405, 501].includes(status)) {
+      logger.debug('Server cannot cancel calls', { status });
+    } else {
+      logger.warn('Error asking the server to cancel the call', { cancelledRequestId: requestId, error });
+    }
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * MCP resources
+ * Publishes the active AgentForce session, its status and past conversation transcripts under
+ * agentforce:// URIs, so hosts can attach them as context without a tool call:
+ *   agentforce://session                  the client's current session (JSON)
+ *   agentforce://status                   what agentforce_get_status returns (text)
+ *   agentforce://transcripts              the sessions that have a transcript (JSON)
+ *   agentforce://transcripts/{sessionId}  one session's transcript (Markdown)
+ */
+import { loadConfig } from './config.js';
+import { runTool } from './tool-runner.js';
+import { getClientId, getClientState, onClientStateChange } from './session.js';
+import { listTranscripts, readTranscript, hasTranscript, formatTranscript } from './transcripts.js';
+
+export const SESSION_URI = 'agentforce://session';
+export const STATUS_URI = 'agentforce://status';
+export const TRANSCRIPTS_URI = 'agentforce://transcripts';
+
+// URI of one session's transcript
+export function transcriptUri(sessionId) {
+  return `${TRANSCRIPTS_URI}/${encodeURIComponent(sessionId)}`;
+}
+
+// Resources that always exist
+const STATIC_RESOURCES = [
+  {
+    uri: SESSION_URI,
+    name: 'AgentForce session',
+    description: 'The current AgentForce session of this client: whether it is authenticated, the session id and when it was created and last used.',
+    mimeType: 'application/json'
+  },
+  {
+    uri: STATUS_URI,
+    name: 'AgentForce status',
+    description: 'Authentication and session status reported by agentforce_get_status.',
+    mimeType: 'text/plain'
+  },
+  {
+    uri: TRANSCRIPTS_URI,
+    name: 'AgentForce transcripts',
+    description: 'Sessions with a locally kept transcript, most recent first.',
+    mimeType: 'application/json'
+  }
+];
+
+// Resource list in the shape returned by MCP resources/list
+export function listResources() {
+  const config = loadConfig();
+  const transcripts = listTranscripts(config).map((transcript) => ({
+    uri: transcriptUri(transcript.sessionId),
+    name: `AgentForce transcript ${transcript.sessionId}`,
+    description: `Conversation of session ${transcript.sessionId}, last updated ${transcript.modifiedAt.toISOString()}.`,
+    mimeType: 'text/markdown'
+  }));
+  return [...STATIC_RESOURCES, ...transcripts];
+}
+
+// Resource templates in the shape returned by MCP resources/templates/list
+export function listResourceTemplates() {
+  return [
+    {
+      uriTemplate: `${TRANSCRIPTS_URI}/{sessionId}`,
+      name: 'AgentForce transcript',
+      description: 'Conversation of one AgentForce session.',
+      mimeType: 'text/markdown'
+    }
+  ];
+}
+
+// One text content item of a resources/read result
+function textContents(uri, mimeType, text) {
+  return { contents: [{ uri, mimeType, text }] };
+}
+
+// Read a resource; resolves with the MCP resources/read result, or null if there is no such resource
+export async function readResource(uri) {
+  const config = loadConfig();
+  const clientId = getClientId(config);
+
+  if (uri === SESSION_URI) {
+    const client = getClientState(config, clientId);
+    return textContents(uri, 'application/json', JSON.stringify({
+      profile: config.profile,
+      mode: config.mode || 'server',
+      clientId,
+      authenticated: Boolean(client.authenticated),
+      authenticatedAt: client.authenticatedAt || null,
+      agentId: (client.auth && client.auth.agentId) || null,
+      session: client.session || null
+    }, null, 2));
+  }
+
+  if (uri === STATUS_URI) {
+    const result = await runTool('agentforce_get_status', { clientId });
+    return textContents(uri, 'text/plain', (result.content || []).map((item) => item.text || '').join('\n'));
+  }
+
+  if (uri === TRANSCRIPTS_URI) {
+    const transcripts = listTranscripts(config).map((transcript) => ({
+      sessionId: transcript.sessionId,
+      uri: transcriptUri(transcript.sessionId),
+      modifiedAt: transcript.modifiedAt.toISOString()
+    }));
+    return textContents(uri, 'application/json', JSON.stringify(transcripts, null, 2));
+  }
+
+  if (uri.startsWith(`${TRANSCRIPTS_URI}/`)) {
+    const sessionId = decodeURIComponent(uri.slice(TRANSCRIPTS_URI.length + 1));
+    const turns = sessionId ? readTranscript(config, sessionId) : null;
+    return turns ? textContents(uri, 'text/markdown', formatTranscript(turns, 'md', sessionId)) : null;
+  }
+
+  return null;
+}
+
+// Report resource changes caused by this process's own session changes
+// handlers: { updated(uri), listChanged() }
+// Returns a function that stops watching
+export function watchResources(handlers) {
+  let listedSessionId = null;
+
+  return onClientStateChange((config, clientId) => {
+    if (clientId !== getClientId(config)) {
+      return;
+    }
+
+    const session = getClientState(config, clientId).session;
+    const sessionId = session ? session.id : null;
+
+    handlers.updated(SESSION_URI);
+    handlers.updated(STATUS_URI);
+    if (!sessionId) {
+      return;
+    }
+    handlers.updated(transcriptUri(sessionId));
+
+    // A session's transcript appears with its first message
+    if (sessionId !== listedSessionId && hasTranscript(config, sessionId)) {
+      listedSessionId = sessionId;
+      handlers.updated(TRANSCRIPTS_URI);
+      handlers.listChanged();
+    }
+  });
+}
@@ -0,0 +1,203 @@
+/**
+ * Agent replies
+ * Turns what the server or the Agent API returns for a message into typed MCP content. A reply may
+ * be plain content items, or carry Agent API messages:
+ *   Inform             text, with citedReferences/links and structured action output (result, data)
+ *   Inquire, Confirm   a question, possibly with choices
+ *   ProgressIndicator  interim "working on it" notices
+ *   Escalate           handed over to a human
+ *   SessionEnded       the agent closed the session
+ *   Failure            the agent could not answer
+ * Text becomes text items, links become resource_link items and structured data becomes a text
+ * item holding the JSON (with the parsed value in `json`). The outcome goes in _meta.agentforce, and
+ * failures set isError. Shapes that are not recognized are kept as JSON rather than dropped.
+ */
+
+// Outcome of a reply, by the Agent API message type that decides it; later entries win
+const OUTCOMES = {
+  Inform: 'answered',
+  Inquire: 'inquiry',
+  Confirm: 'inquiry',
+  Escalate: 'escalated',
+  SessionEnded: 'ended',
+  Failure: 'failed'
+};
+
+// Outcomes in increasing precedence
+const OUTCOME_ORDER = ['answered', 'inquiry', 'escalated', 'ended', 'failed'];
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Structured data as a text item; `json` keeps the value for clients that read it
+function jsonItem(value, label) {
+  const text = JSON.stringify(value, null, 2);
+  return { type: 'text', text: label ? `${label}:\n${text}` : text, json: value };
+}
+
+// A link as a resource_link item; null when it has no usable URL
+function linkItem(link) {
+  const uri = typeof link === 'string' ? link : link && (link.url || link.uri || link.href || link.value);
+  if (typeof uri !== 'string' || !/^[a-z][a-z0-9+.-]*:/i.test(uri)) {
+    return null;
+  }
+  const item = { type: 'resource_link', uri, name: (isObject(link) && (link.title || link.label || link.name)) || uri };
+  if (isObject(link) && link.description) {
+    item.description = String(link.description);
+  }
+  return item;
+}
+
+// A choice's label and value
+function choiceOf(choice) {
+  if (!isObject(choice)) {
+    return { label: String(choice), value: choice };
+  }
+  const label = choice.label || choice.title || choice.text || choice.value;
+  return { label: String(label), value: choice.value !== undefined ? choice.value : label };
+}
+
+// Text of a message, whatever field it is in
+function messageText(message) {
+  const text = message.message !== undefined ? message.message : message.text;
+  return typeof text === 'string' ? text : '';
+}
+
+// Normalize one content item the server returned; unknown types are kept as JSON
+function contentItem(item) {
+  if (typeof item === 'string') {
+    return [{ type: 'text', text: item }];
+  }
+  if (!isObject(item)) {
+    return item === undefined || item === null ? [] : [jsonItem(item)];
+  }
+  if (['text', 'image', 'audio', 'resource', 'resource_link'].includes(item.type) && (item.type !== 'text' || typeof item.text === 'string')) {
+    return [item];
+  }
+  if (item.type === 'link' || (item.url && !item.type)) {
+    const link = linkItem(item);
+    return link ? [link] : [jsonItem(item)];
+  }
+  if (item.type === 'json' || item.json !== undefined) {
+    return [jsonItem(item.json !== undefined ? item.json : item.data)];
+  }
+  if (typeof item.text === 'string') {
+    return [{ type: 'text', text: item.text }];
+  }
+  return [jsonItem(item)];
+}
+
+// Turn one Agent API message into content items, collecting its outcome details into meta
+function messageItems(message, meta) {
+  if (!isObject(message)) {
+    return contentItem(message);
+  }
+
+  const type = message.type || 'Inform';
+  const items = [];
+  meta.messageTypes.push(type);
+
+  if (OUTCOMES[type] && OUTCOME_ORDER.indexOf(OUTCOMES[type]) > OUTCOME_ORDER.indexOf(meta.outcome)) {
+    meta.outcome = OUTCOMES[type];
+  }
+
+  if (type === 'ProgressIndicator') {
+    // Superseded by the final reply, so only kept as metadata
+    meta.progress.push(messageText(message) || message.indicatorType || 'Working');
+    return items;
+  }
+
+  const text = messageText(message);
+  if (text) {
+    items.push({ type: 'text', text });
+  }
+
+  if (type === 'Escalate') {
+    meta.escalation = { targets: message.targets || [], reason: message.reason || null };
+    items.push({ type: 'text', text: `The agent escalated the conversation to a human${message.reason ? `: ${message.reason}` : ''}.` });
+  } else if (type === 'SessionEnded') {
+    meta.sessionEnded = { reason: message.reason || null };
+    items.push({ type: 'text', text: `The agent ended the session${message.reason ? ` (${message.reason})` : ''}.` });
+  } else if (type === 'Failure') {
+    const errors = Array.isArray(message.errors) ? message.errors.map(String) : [];
+    meta.failure = { code: message.code || null, errors };
+    if (!text) {
+      items.push({ type: 'text', text: `The agent could not answer${errors.length ? `: ${errors.join('; ')}` : '.'}` });
+    }
+  }
+
+  const choices = message.choices || message.options;
+  if (Array.isArray(choices) && choices.length > 0) {
+    const listed = choices.map(choiceOf);
+    meta.choices.push(...listed);
+    items.push({ type: 'text', text: `Options:\n${listed.map((choice, i) => `${i + 1}. ${choice.label}`).join('\n')}` });
+  }
+
+  for (const link of [...(message.citedReferences || []), ...(message.links || [])]) {
+    const item = linkItem(link);
+    items.push(item || jsonItem(link, 'Reference'));
+  }
+
+  for (const field of ['result', 'data', 'structuredOutput']) {
+    const value = message[field];
+    if (value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)) {
+      items.push(jsonItem(value, 'Action output'));
+    }
+  }
+
+  // Nothing recognized: pass the message on as it is
+  return items.length > 0 ? items : [jsonItem(message)];
+}
+
+// Normalize a send_message result into typed MCP content
+// Returns { content, isError?, error?, _meta: { agentforce: { outcome, messageTypes, ... } } } with any other
+// fields of the result kept
+export function normalizeReply(result) {
+  if (!isObject(result)) {
+    return {
+      content: result === undefined || result === null ? [] : contentItem(result),
+      _meta: { agentforce: { outcome: 'answered', messageTypes: [] } }
+    };
+  }
+
+  const meta = { outcome: 'answered', messageTypes: [], progress: [], choices: [] };
+  const { messages, content, ...rest } = result;
+
+  // Agent API messages hold everything the flattened text had, and more
+  const items = Array.isArray(messages) && messages.length > 0
+    ? messages.flatMap((message) => messageItems(message, meta))
+    : (Array.isArray(content) ? content : content === undefined ? [] : [content]).flatMap(contentItem);
+
+  const normalized = { ...rest, content: items };
+  if (normalized.content.length === 0) {
+    normalized.content.push({ type: 'text', text: '' });
+  }
+
+  if (result.error) {
+    meta.outcome = 'failed';
+  }
+  if (meta.outcome === 'failed') {
+    normalized.isError = true;
+    if (!normalized.error) {
+      const message = meta.failure && meta.failure.errors.length > 0 ? meta.failure.errors.join('; ') : 'The agent could not answer';
+      normalized.error = { code: (meta.failure && meta.failure.code) || 'agent_failure', message };
+    }
+  }
+
+  for (const key of ['progress', 'choices']) {
+    if (meta[key].length === 0) {
+      delete meta[key];
+    }
+  }
+  normalized._meta = { ...(result._meta || {}), agentforce: meta };
+  return normalized;
+}
+
+// Plain text of a result's content, with links as their URL
+export function replyText(result) {
+  return ((result && result.content) || [])
+    .map((item) => (item.type === 'resource_link' ? `${item.name && item.name !== item.uri ? `${item.name}: ` : ''}${item.uri}` : item.text || ''))
+    .filter(Boolean)
+    .join('\n');
+}
@@ -0,0 +1,111 @@
+/**
+ * Minimal JSON Schema validator
+ * Covers the subset of draft-07 used by the tool input schemas
+ */
+
+// Describe the JSON type of a value the way JSON Schema names it
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+// Check a value against a single JSON Schema type name
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') {
+    return actual === 'number' || actual === 'integer';
+  }
+  return actual === type;
+}
+
+// Join a property path for error messages
+function childPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+}
+
+// Validate a value against a schema, collecting { path, message } errors
+function validateNode(schema, value, path, errors) {
+  if (!schema || typeof schema !== 'object') {
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path, message: `must be of type ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({
+        path,
+        message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`
+      });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateNode(schema.items, item, childPath(path, index), errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: childPath(path, key), message: 'is required' });
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(properties[key], propertyValue, childPath(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, key), message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(schema.additionalProperties, propertyValue, childPath(path, key), errors);
+      }
+    }
+  }
+}
+
+// Validate a value against a schema; returns an array of errors (empty when valid)
+export function validate(schema, value, rootPath = 'args') {
+  const errors = [];
+  validateNode(schema, value, rootPath, errors);
+  return errors;
+}
+
+// Render validation errors as a single human-readable line
+export function formatErrors(errors) {
+  return errors.map((error) => `${error.path} ${error.message}`).join('; ');
+}
@@ -0,0 +1,172 @@
+/**
+ * Encrypted secret store
+ * Keeps secrets (server API keys) in a 0600 JSON file, each value encrypted with AES-256-GCM.
+ * The key is derived with scrypt from AGENTFORCE_PASSPHRASE when set, otherwise from
+ * machine-specific values so the file is useless when copied to another machine.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+const STORE_VERSION = 1;
+
+// Files that hold a stable per-machine identifier on Linux
+const MACHINE_ID_FILES = ['/etc/machine-id', '/var/lib/dbus/machine-id'];
+
+// Identifier of this machine and user, used when no passphrase is set
+function machineSecret() {
+  let machineId = '';
+  for (const file of MACHINE_ID_FILES) {
+    try {
+      machineId = fs.readFileSync(file, 'utf8').trim();
+      break;
+    } catch (error) {
+      // Not available on this platform
+    }
+  }
+  return ['agentforce-reliable-tool', os.hostname(), os.userInfo().username, os.homedir(), machineId].join(':');
+}
+
+// Where the encryption key comes from
+function keySource() {
+  return process.env.AGENTFORCE_PASSPHRASE ? 'passphrase' : 'machine';
+}
+
+// Derive the encryption key for a store
+function deriveKey(source, salt) {
+  if (source === 'passphrase' && !process.env.AGENTFORCE_PASSPHRASE) {
+    throw new Error('Secrets are encrypted with a passphrase; set AGENTFORCE_PASSPHRASE to unlock them');
+  }
+  const secret = source === 'passphrase' ? process.env.AGENTFORCE_PASSPHRASE : machineSecret();
+  return crypto.scryptSync(secret, Buffer.from(salt, 'base64'), 32);
+}
+
+// Encrypt one value
+function encrypt(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+// Decrypt one value; throws if the key is wrong or the entry was tampered with
+function decrypt(key, entry) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(entry.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Write a file readable only by the current user
+// The content goes to a temporary file renamed over the target, so other processes reading the
+// file see either the old or the new content, never a partial write
+export function writePrivateFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp-${process.pid}`;
+  try {
+    fs.writeFileSync(tempPath, content, { encoding: 'utf8', mode: 0o600 });
+    // mode only applies when the file is created
+    fs.chmodSync(tempPath, 0o600);
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// Create a secret store backed by filePath
+export function createSecretStore(filePath) {
+  // Derived keys by key source and salt; scrypt is deliberately slow and blocks the event loop
+  const keys = new Map();
+
+  // Encryption key of a store, derived once per key source, salt and passphrase
+  function storeKey(store) {
+    const passphrase = store.keySource === 'passphrase' ? process.env.AGENTFORCE_PASSPHRASE || '' : '';
+    const id = JSON.stringify([store.keySource, store.salt, passphrase]);
+    if (!keys.has(id)) {
+      keys.set(id, deriveKey(store.keySource, store.salt));
+    }
+    return keys.get(id);
+  }
+
+  // Read the store, or an empty one if it does not exist yet
+  function read() {
+    if (!fs.existsSync(filePath)) {
+      return {
+        version: STORE_VERSION,
+        keySource: keySource(),
+        salt: crypto.randomBytes(16).toString('base64'),
+        entries: {}
+      };
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  function write(store) {
+    writePrivateFile(filePath, JSON.stringify(store, null, 2));
+  }
+
+  return {
+    // Decrypted secret, or null if none is stored under name
+    get(name) {
+      const store = read();
+      const entry = store.entries[name];
+      if (!entry) {
+        return null;
+      }
+      try {
+        return decrypt(storeKey(store), entry);
+      } catch (error) {
+        if (error.message.includes('AGENTFORCE_PASSPHRASE')) {
+          throw error;
+        }
+        throw new Error(`Unable to decrypt secret "${name}": wrong passphrase or secrets file moved from another machine`);
+      }
+    },
+
+    // Encrypt and store a secret
+    // If AGENTFORCE_PASSPHRASE was set or removed since the store was created, every entry is
+    // re-encrypted with the new key source
+    set(name, value) {
+      let store = read();
+      if (store.keySource !== keySource()) {
+        const oldKey = storeKey(store);
+        const values = Object.fromEntries(
+          Object.entries(store.entries).map(([entryName, entry]) => [entryName, decrypt(oldKey, entry)])
+        );
+        store = {
+          version: STORE_VERSION,
+          keySource: keySource(),
+          salt: crypto.randomBytes(16).toString('base64'),
+          entries: {}
+        };
+        const newKey = storeKey(store);
+        for (const [entryName, entryValue] of Object.entries(values)) {
+          store.entries[entryName] = encrypt(newKey, entryValue);
+        }
+      }
+      store.entries[name] = encrypt(storeKey(store), value);
+      write(store);
+    },
+
+    // Remove a secret; returns true if one was stored
+    delete(name) {
+      const store = read();
+      if (!store.entries[name]) {
+        return false;
+      }
+      delete store.entries[name];
+      write(store);
+      return true;
+    },
+
+    // Whether a secret is stored under name (without decrypting it)
+    has(name) {
+      return Boolean(read().entries[name]);
+    }
+  };
+}
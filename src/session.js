@@ -0,0 +1,488 @@
+/**
+ * Session state
+ * Remembers, per profile, the client id used with the Reliable Server and whether that client is
+ * authenticated and has a live agent session. State is persisted in state.json so it survives
+ * restarts, and is used to bootstrap conversations automatically.
+ *
+ * Besides the default session, a profile may hold named sessions (for example one per agent), each
+ * with a client id of its own. The active one is used whenever a tool is called without a clientId.
+ *
+ * While recording or replaying cassettes, state and authentication secrets are kept in memory and start
+ * empty, so a recording and its replay both begin with a new client whatever state.json holds.
+ */
+import fs from 'fs';
+import { STATE_PATH, secretStore } from './config.js';
+import { writePrivateFile } from './secrets.js';
+import { logger } from './logger.js';
+import { getCassetteMode } from './cassette.js';
+
+// Error codes and messages the server uses when a session is gone
+const SESSION_EXPIRED_CODES = ['session_expired', 'invalid_session', 'session_not_found', 'no_active_session'];
+const SESSION_EXPIRED_PATTERN = /session (?:has )?expired|session (?:not found|is invalid)|invalid session|no active session/i;
+
+// Salesforce connection fields read from the environment, as documented in the README
+const AUTH_ENV_VARS = {
+  baseUrl: 'SF_BASE_URL',
+  apiUrl: 'SF_API_URL',
+  agentId: 'SF_AGENT_ID',
+  clientId: 'SF_CLIENT_ID',
+  clientSecret: 'SF_CLIENT_SECRET',
+  clientEmail: 'SF_CLIENT_EMAIL'
+};
+
+// Authentication fields that are secrets and go to the secret store instead of state.json
+const AUTH_SECRET_FIELDS = ['clientSecret'];
+
+// In-flight bootstraps per profile/client, so concurrent calls share one authenticate/create session
+const bootstrapping = new Map();
+
+// Listeners told about every change to a client's state in this process
+const changeListeners = new Set();
+
+// State and authentication secrets of cassette runs, by mode, so a replay starts as empty as its
+// recording even in the process that recorded it
+const cassetteRuns = {};
+
+// In-memory state of the current cassette run
+function cassetteRun() {
+  const mode = getCassetteMode();
+  if (!cassetteRuns[mode]) {
+    cassetteRuns[mode] = { state: { profiles: {} }, secrets: new Map() };
+  }
+  return cassetteRuns[mode];
+}
+
+// Where authentication secrets go: the secret store, or memory during a cassette run
+function authSecrets() {
+  if (!getCassetteMode()) {
+    return secretStore;
+  }
+  const { secrets } = cassetteRun();
+  return {
+    get: (name) => (secrets.has(name) ? secrets.get(name) : null),
+    set: (name, value) => secrets.set(name, value),
+    delete: (name) => secrets.delete(name)
+  };
+}
+
+// Read the whole state file; null when it exists but cannot be read or parsed
+function loadState() {
+  if (getCassetteMode()) {
+    // Callers change what they read before writing it back, so they get a copy
+    return JSON.parse(JSON.stringify(cassetteRun().state));
+  }
+  try {
+    if (fs.existsSync(STATE_PATH)) {
+      return JSON.parse(fs.readFileSync(STATE_PATH, 'utf8'));
+    }
+  } catch (error) {
+    logger.error('Error reading session state', { path: STATE_PATH, error });
+    return null;
+  }
+  return { profiles: {} };
+}
+
+// Read the whole state file, as empty when it cannot be read
+function readState() {
+  return loadState() || { profiles: {} };
+}
+
+// Write the whole state file
+function writeState(state) {
+  if (getCassetteMode()) {
+    cassetteRun().state = state;
+    return;
+  }
+  try {
+    writePrivateFile(STATE_PATH, JSON.stringify(state, null, 2));
+  } catch (error) {
+    logger.error('Error saving session state', { path: STATE_PATH, error });
+  }
+}
+
+// Apply a change to one profile's state and persist it
+// A state file that cannot be parsed is left alone: writing back would wipe every profile's sessions
+function updateProfileState(profileName, change) {
+  const state = loadState();
+  const profile = (state && state.profiles[profileName]) || { clients: {} };
+  change(profile);
+  if (state) {
+    state.profiles[profileName] = profile;
+    writeState(state);
+  } else {
+    logger.error('Session state is unreadable, change not saved', { path: STATE_PATH, profile: profileName });
+  }
+  return profile;
+}
+
+// Tell the listeners that a client's state changed
+function notifyChange(config, clientId) {
+  for (const listener of changeListeners) {
+    try {
+      listener(config, clientId);
+    } catch (error) {
+      logger.error('Error in session change listener', { error });
+    }
+  }
+}
+
+// Apply a change to one client's state and persist it
+function updateClientState(config, clientId, change) {
+  updateProfileState(config.profile, (profile) => {
+    const client = profile.clients[clientId] || {};
+    change(client);
+    client.updatedAt = new Date().toISOString();
+    profile.clients[clientId] = client;
+  });
+  notifyChange(config, clientId);
+}
+
+// Call listener(config, clientId) whenever a client's state changes; returns a function that stops listening
+export function onClientStateChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+// Secret store entry for a client's Salesforce credentials
+function authSecretName(config, clientId) {
+  return `auth:${config.profile}:${clientId}`;
+}
+
+// Stored state for one client of the current profile
+export function getClientState(config, clientId) {
+  const profile = readState().profiles[config.profile];
+  return (profile && profile.clients[clientId]) || {};
+}
+
+// Client id of the profile's default session: config.clientId if set, otherwise one generated once and persisted
+function defaultClientId(config) {
+  if (config.clientId) {
+    return config.clientId;
+  }
+
+  const existing = readState().profiles[config.profile];
+  if (existing && existing.clientId) {
+    return existing.clientId;
+  }
+
+  const clientId = `client-${Date.now()}`;
+  updateProfileState(config.profile, (profile) => {
+    profile.clientId = clientId;
+  });
+  logger.info('Generated client id', { profile: config.profile, clientId });
+  return clientId;
+}
+
+// Client id for the current profile: the one of the active named session, or of the default session
+export function getClientId(config) {
+  const profile = readState().profiles[config.profile];
+  const active = profile && profile.activeSession && profile.sessions && profile.sessions[profile.activeSession];
+  return active ? active.clientId : defaultClientId(config);
+}
+
+// Store authentication settings for a client: secrets in the secret store, the rest in state.json
+// Returns the settings to keep in the client's state
+function storeAuthSettings(config, clientId, authConfig) {
+  const stored = {};
+  for (const [key, value] of Object.entries(authConfig)) {
+    if (!AUTH_SECRET_FIELDS.includes(key)) {
+      stored[key] = value;
+    }
+  }
+
+  const secrets = Object.fromEntries(AUTH_SECRET_FIELDS.filter((key) => authConfig[key]).map((key) => [key, authConfig[key]]));
+  if (Object.keys(secrets).length > 0) {
+    try {
+      authSecrets().set(authSecretName(config, clientId), JSON.stringify(secrets));
+    } catch (error) {
+      logger.error('Error storing authentication secrets', { error });
+    }
+  }
+  return stored;
+}
+
+// Remember a successful authentication and the settings used for it
+export function recordAuthentication(config, clientId, authConfig = {}) {
+  const stored = storeAuthSettings(config, clientId, authConfig);
+  updateClientState(config, clientId, (client) => {
+    client.authenticated = true;
+    client.authenticatedAt = new Date().toISOString();
+    client.auth = stored;
+    client.session = null;
+  });
+}
+
+// Pull a session id out of a create-session result, whatever shape the server used
+function extractSessionId(result) {
+  if (result.sessionId) {
+    return result.sessionId;
+  }
+  if (result.session && result.session.id) {
+    return result.session.id;
+  }
+  const text = result.content && result.content[0] && result.content[0].text;
+  const match = typeof text === 'string' && text.match(/session(?:\s+id|\s+created)?\s*[:=]?\s+([A-Za-z0-9-]{8,})/i);
+  return match ? match[1] : null;
+}
+
+// Remember a newly created session
+export function recordSession(config, clientId, result) {
+  const now = new Date().toISOString();
+  updateClientState(config, clientId, (client) => {
+    client.session = {
+      id: extractSessionId(result),
+      createdAt: now,
+      lastUsedAt: now
+    };
+  });
+}
+
+// Note that the session was just used
+export function touchSession(config, clientId) {
+  updateClientState(config, clientId, (client) => {
+    if (client.session) {
+      client.session.lastUsedAt = new Date().toISOString();
+    }
+  });
+}
+
+// Forget the session (it expired or was ended)
+export function invalidateSession(config, clientId) {
+  updateClientState(config, clientId, (client) => {
+    client.session = null;
+  });
+}
+
+// Forget everything about a client (after agentforce_reset)
+export function clearClientState(config, clientId) {
+  updateProfileState(config.profile, (profile) => {
+    delete profile.clients[clientId];
+  });
+  notifyChange(config, clientId);
+  try {
+    authSecrets().delete(authSecretName(config, clientId));
+  } catch (error) {
+    logger.error('Error removing authentication secrets', { error });
+  }
+}
+
+// Whether a tool result or request error says the agent session is gone
+export function isSessionExpired(resultOrError) {
+  if (!resultOrError) {
+    return false;
+  }
+
+  // Error result returned by the server
+  const resultError = resultOrError.error;
+  if (resultError && typeof resultError === 'object') {
+    if (SESSION_EXPIRED_CODES.includes(resultError.code)) {
+      return true;
+    }
+    if (SESSION_EXPIRED_PATTERN.test(resultError.message || '')) {
+      return true;
+    }
+  }
+
+  // Request error carrying the server's error body
+  const data = resultOrError.response && resultOrError.response.data;
+  if (data && typeof data === 'object') {
+    const error = data.error || (data.result && data.result.error);
+    if (error && (SESSION_EXPIRED_CODES.includes(error.code) || SESSION_EXPIRED_PATTERN.test(error.message || ''))) {
+      return true;
+    }
+  }
+
+  return resultOrError instanceof Error && SESSION_EXPIRED_PATTERN.test(resultOrError.message);
+}
+
+// Settings to authenticate with when no one called agentforce_authenticate:
+// the last settings used for this client, then config.agent, then the SF_* environment variables
+export function resolveAuthConfig(config, clientId) {
+  const fromEnv = {};
+  for (const [key, variable] of Object.entries(AUTH_ENV_VARS)) {
+    if (process.env[variable]) {
+      fromEnv[key] = process.env[variable];
+    }
+  }
+
+  let storedSecrets = {};
+  try {
+    const stored = authSecrets().get(authSecretName(config, clientId));
+    storedSecrets = stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    logger.error('Error reading authentication secrets', { error });
+  }
+
+  const client = getClientState(config, clientId);
+  return {
+    ...fromEnv,
+    ...(config.agent || {}),
+    ...(client.auth || {}),
+    ...storedSecrets
+  };
+}
+
+// Make sure the client is authenticated and has a live session, creating them if needed
+// callTool(name, args) runs another tool and resolves with its result
+export async function ensureSession(config, clientId, callTool) {
+  const client = getClientState(config, clientId);
+  if (client.authenticated && client.session) {
+    return;
+  }
+
+  const key = `${config.profile}:${clientId}`;
+  if (!bootstrapping.has(key)) {
+    const work = bootstrapSession(config, clientId, callTool).finally(() => bootstrapping.delete(key));
+    bootstrapping.set(key, work);
+  }
+  return bootstrapping.get(key);
+}
+
+// Drop the current session and start a new one, authenticating first if needed
+// Resolves with the new session's stored state
+export async function startNewSession(config, clientId, callTool) {
+  invalidateSession(config, clientId);
+  await ensureSession(config, clientId, callTool);
+  return getClientState(config, clientId).session;
+}
+
+// Name of the profile's default session
+export const DEFAULT_SESSION = 'default';
+
+// Named sessions of the profile, the default one first
+// Returns [{ name, clientId, createdAt, active }]
+export function listSessionHandles(config) {
+  const profile = readState().profiles[config.profile] || {};
+  const named = profile.sessions || {};
+  const activeName = profile.activeSession && named[profile.activeSession] ? profile.activeSession : DEFAULT_SESSION;
+
+  return [
+    { name: DEFAULT_SESSION, clientId: defaultClientId(config), createdAt: null },
+    ...Object.entries(named).map(([name, handle]) => ({ name, ...handle }))
+  ].map((handle) => ({ ...handle, active: handle.name === activeName }));
+}
+
+// Named session with the given name, client id or agent session id; null if there is none
+export function resolveSessionHandle(config, nameOrId) {
+  const handles = listSessionHandles(config);
+  return handles.find((handle) => handle.name === nameOrId || handle.clientId === nameOrId) ||
+    handles.find((handle) => {
+      const session = getClientState(config, handle.clientId).session;
+      return session && session.id === nameOrId;
+    }) ||
+    null;
+}
+
+// Add a named session with its own client id on the server
+// It authenticates with the active session's settings, with agentId replaced when given
+export function createSessionHandle(config, name, agentId) {
+  if (!/^[A-Za-z0-9_.-]{1,64}$/.test(name)) {
+    throw new Error(`Invalid session name: ${name} (letters, digits, "_", "." and "-" only)`);
+  }
+  if (resolveSessionHandle(config, name)) {
+    throw new Error(`Session already exists: ${name}`);
+  }
+
+  const clientId = `${defaultClientId(config)}-${name}`;
+  const authConfig = { ...resolveAuthConfig(config, getClientId(config)) };
+  if (agentId) {
+    authConfig.agentId = agentId;
+  }
+
+  const stored = storeAuthSettings(config, clientId, authConfig);
+  updateProfileState(config.profile, (profile) => {
+    delete profile.clients[clientId];
+    profile.sessions = { ...(profile.sessions || {}), [name]: { clientId, createdAt: new Date().toISOString() } };
+  });
+  updateClientState(config, clientId, (client) => {
+    client.auth = stored;
+  });
+  return resolveSessionHandle(config, name);
+}
+
+// Make a named session the one tools use when no clientId is given
+export function setActiveSession(config, name) {
+  updateProfileState(config.profile, (profile) => {
+    profile.activeSession = name === DEFAULT_SESSION ? undefined : name;
+  });
+  notifyChange(config, getClientId(config));
+}
+
+// End a named session: reset its client on the server and forget it
+// The default session keeps its handle; ending the active session makes the default one active
+// callTool(name, args) runs another tool and resolves with its result
+export async function endSessionHandle(config, handle, callTool) {
+  const result = await callTool('agentforce_reset', { clientId: handle.clientId });
+  if (result.error) {
+    throw new Error(result.error.message);
+  }
+
+  if (handle.name !== DEFAULT_SESSION) {
+    updateProfileState(config.profile, (profile) => {
+      delete profile.sessions[handle.name];
+      if (profile.activeSession === handle.name) {
+        delete profile.activeSession;
+      }
+    });
+    notifyChange(config, getClientId(config));
+  }
+}
+
+// End named sessions (not the default one) that have not been used for idleTimeoutMs
+// Resolves with the names of the sessions ended
+export async function endIdleSessions(config, idleTimeoutMs, callTool) {
+  const cutoff = Date.now() - idleTimeoutMs;
+  const ended = [];
+
+  for (const handle of listSessionHandles(config)) {
+    if (handle.name === DEFAULT_SESSION) {
+      continue;
+    }
+    const client = getClientState(config, handle.clientId);
+    const lastUsedAt = Date.parse((client.session && client.session.lastUsedAt) || client.updatedAt || handle.createdAt);
+    if (lastUsedAt >= cutoff) {
+      continue;
+    }
+
+    try {
+      await endSessionHandle(config, handle, callTool);
+      logger.info('Ended idle session', { session: handle.name, clientId: handle.clientId });
+      ended.push(handle.name);
+    } catch (error) {
+      logger.warn('Error ending idle session', { session: handle.name, error });
+    }
+  }
+  return ended;
+}
+
+// Authenticate (if needed) and create a session
+// When the stored authentication turns out to be stale, authenticate again once
+async function bootstrapSession(config, clientId, callTool, forceAuthentication = false) {
+  const client = getClientState(config, clientId);
+
+  if (!client.authenticated || forceAuthentication) {
+    const authConfig = resolveAuthConfig(config, clientId);
+    if (!authConfig.agentId) {
+      throw new Error(
+        'No active session and no agent settings to authenticate with. ' +
+        'Call agentforce_authenticate first, or set SF_AGENT_ID (or "agent" in config.json).'
+      );
+    }
+
+    logger.info('No authenticated client, authenticating automatically', { clientId, agentId: authConfig.agentId });
+    const result = await callTool('agentforce_authenticate', { clientId, config: authConfig });
+    if (result.error) {
+      throw new Error(`Automatic authentication failed: ${result.error.message}`);
+    }
+  }
+
+  logger.info('No live session, creating one automatically', { clientId });
+  const result = await callTool('agentforce_create_session', { clientId });
+  if (result.error) {
+    if (client.authenticated && !forceAuthentication) {
+      logger.warn('Session creation failed with stored authentication, authenticating again', { clientId });
+      return bootstrapSession(config, clientId, callTool, true);
+    }
+    throw new Error(`Automatic session creation failed: ${result.error.message}`);
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Streaming tool responses
+ * Reads Server-Sent Events or newline-delimited JSON from the Reliable Server and
+ * reassembles the final tool result, reporting partial agent text as it arrives.
+ */
+import { StringDecoder } from 'string_decoder';
+
+// Content types the client accepts for a streamed tool call, in order of preference
+export const STREAM_ACCEPT = 'text/event-stream, application/x-ndjson, application/json';
+
+// Error reported by the server inside a stream
+function streamError(payload) {
+  const details = (payload && payload.error) || payload || {};
+  const error = new Error(details.message || 'Server reported a streaming error');
+  error.code = details.code || 'stream_error';
+  return error;
+}
+
+// Parse an event payload, tolerating plain-text data lines
+function parsePayload(data) {
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return { text: data };
+  }
+}
+
+// Decode a stream's chunks as UTF-8, keeping characters split across chunks whole
+async function* readText(stream) {
+  const decoder = new StringDecoder('utf8');
+  for await (const chunk of stream) {
+    yield typeof chunk === 'string' ? chunk : decoder.write(chunk);
+  }
+  yield decoder.end();
+}
+
+// Split a text stream into lines, handling chunks that end mid-line
+async function* readLines(stream) {
+  let buffer = '';
+  for await (const text of readText(stream)) {
+    buffer += text;
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    yield* lines;
+  }
+  if (buffer) {
+    yield buffer;
+  }
+}
+
+// Turn SSE lines into { event, data } objects
+async function* readSseEvents(stream) {
+  let event = 'message';
+  let data = [];
+
+  for await (const line of readLines(stream)) {
+    if (line === '') {
+      if (data.length > 0) {
+        yield { event, data: data.join('\n') };
+      }
+      event = 'message';
+      data = [];
+    } else if (line.startsWith(':')) {
+      continue;
+    } else {
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+      if (field === 'event') {
+        event = value;
+      } else if (field === 'data') {
+        data.push(value);
+      }
+    }
+  }
+
+  if (data.length > 0) {
+    yield { event, data: data.join('\n') };
+  }
+}
+
+// Turn NDJSON lines into { event, data } objects using each line's type field
+async function* readNdjsonEvents(stream) {
+  for await (const line of readLines(stream)) {
+    if (line.trim()) {
+      const payload = parsePayload(line);
+      yield { event: payload.type || 'chunk', payload };
+    }
+  }
+}
+
+// Read a whole stream into a string
+async function readAll(stream) {
+  let text = '';
+  for await (const part of readText(stream)) {
+    text += part;
+  }
+  return text;
+}
+
+// Consume a streamed /mcp/call-tool response
+// onText is called with each partial chunk of agent text; resolves with the final tool result
+export async function readToolStream(response, onText) {
+  const contentType = String(response.headers['content-type'] || '');
+
+  // Server ignored the stream request and answered with a normal JSON body
+  // The call has reached the server, so a body without a result is an error rather than a reason to resend
+  if (contentType.includes('application/json')) {
+    let body;
+    try {
+      body = JSON.parse(await readAll(response.data));
+    } catch (error) {
+      body = null;
+    }
+    if (!body || typeof body !== 'object' || !body.result) {
+      throw new Error('Malformed response from server');
+    }
+    return body.result;
+  }
+
+  const events = contentType.includes('text/event-stream')
+    ? readSseEvents(response.data)
+    : readNdjsonEvents(response.data);
+
+  const chunks = [];
+  let result = null;
+
+  for await (const { event, data, payload: parsed } of events) {
+    const payload = parsed || parsePayload(data);
+
+    if (event === 'error') {
+      throw streamError(payload);
+    }
+
+    if (event === 'result') {
+      result = payload.result || payload;
+    } else if (event === 'done') {
+      break;
+    } else if (typeof payload.text === 'string' && payload.text) {
+      chunks.push(payload.text);
+      onText(payload.text);
+    }
+  }
+
+  if (result) {
+    return result;
+  }
+
+  // Nothing arrived to make a result from, which an empty reply must not be mistaken for
+  if (chunks.length === 0) {
+    throw new Error('Stream ended without a result');
+  }
+
+  return {
+    content: [{
+      type: 'text',
+      text: chunks.join('')
+    }]
+  };
+}
@@ -0,0 +1,313 @@
+/**
+ * Conversation test runner
+ * Runs scripted conversations (YAML or JSON) against an agent through the tool layer and checks
+ * each reply against expectations, reporting a summary and, optionally, JUnit XML.
+ *
+ * A script is one conversation, a list of conversations, or { conversations: [...] }:
+ *   name: Order status
+ *   newSession: true            # start a fresh session first (default)
+ *   turns:
+ *     - user: Where is order 1234?
+ *       expect:
+ *         contains: shipped     # text or list, case-insensitive
+ *         notContains: sorry    # text or list, case-insensitive
+ *         regex: "order \\d+"   # pattern or "/pattern/flags"
+ *         maxLatencyMs: 5000
+ *         json:                 # JSON-path checks on structured content
+ *           - { path: $.status, equals: shipped }
+ *           - { path: "$.items[0].sku", matches: "^SKU-" }
+ *           - { path: $.trackingUrl, exists: true }
+ */
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { runTool } from './tool-runner.js';
+import { loadConfig } from './config.js';
+import { getClientId, startNewSession } from './session.js';
+import { replyText } from './response.js';
+
+// Read a script file into a list of conversations
+export function loadTestScript(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const document = /\.json$/i.test(filePath) ? JSON.parse(text) : YAML.parse(text);
+  const conversations = Array.isArray(document) ? document : (document && document.conversations) || [document];
+
+  conversations.forEach((conversation, index) => {
+    if (!conversation || !Array.isArray(conversation.turns) || conversation.turns.length === 0) {
+      throw new Error(`Conversation ${index + 1} in ${filePath} has no turns`);
+    }
+    conversation.turns.forEach((turn, turnIndex) => {
+      if (!turn || typeof turn.user !== 'string' || !turn.user) {
+        throw new Error(`Turn ${turnIndex + 1} of conversation ${index + 1} in ${filePath} has no "user" message`);
+      }
+    });
+    conversation.name = conversation.name || `${path.basename(filePath)} #${index + 1}`;
+  });
+
+  return conversations;
+}
+
+// Build a RegExp from "pattern" or "/pattern/flags"
+function toRegExp(pattern) {
+  const literal = String(pattern).match(/^\/(.*)\/([a-z]*)$/s);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+}
+
+// A value as a list
+function asList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+// Values at a JSON path: $, .key, ["key"], [n] and [*]
+export function jsonPath(value, pathExpression) {
+  const tokens = [];
+  const pattern = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[\*\]|\.\*|\[["']([^"']+)["']\]/g;
+  const source = String(pathExpression).replace(/^\$/, '');
+  let match;
+  let consumed = 0;
+  while ((match = pattern.exec(source)) !== null) {
+    if (match.index !== consumed) {
+      throw new Error(`Unsupported JSON path: ${pathExpression}`);
+    }
+    consumed = pattern.lastIndex;
+    tokens.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? Number(match[2]) : match[3] !== undefined ? match[3] : '*');
+  }
+  if (consumed !== source.length) {
+    throw new Error(`Unsupported JSON path: ${pathExpression}`);
+  }
+
+  let current = [value];
+  for (const token of tokens) {
+    const next = [];
+    for (const item of current) {
+      if (item === null || typeof item !== 'object') {
+        continue;
+      }
+      if (token === '*') {
+        next.push(...Object.values(item));
+      } else if (item[token] !== undefined) {
+        next.push(item[token]);
+      }
+    }
+    current = next;
+  }
+  return current;
+}
+
+// Structured content of a tool result: structuredContent, a json content item, or JSON reply text
+function structuredContent(result, text) {
+  if (result.structuredContent !== undefined) {
+    return result.structuredContent;
+  }
+  const jsonItem = (result.content || []).find((item) => item.json !== undefined);
+  if (jsonItem) {
+    return jsonItem.json;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Check one JSON-path expectation; returns a failure message or null
+function checkJsonExpectation(data, expectation) {
+  if (data === undefined) {
+    return `json ${expectation.path}: reply has no structured content`;
+  }
+
+  const values = jsonPath(data, expectation.path);
+  if (expectation.exists !== undefined) {
+    return (values.length > 0) === Boolean(expectation.exists)
+      ? null
+      : `json ${expectation.path}: expected it ${expectation.exists ? 'to exist' : 'not to exist'}`;
+  }
+  if (values.length === 0) {
+    return `json ${expectation.path}: no value at this path`;
+  }
+  if (expectation.equals !== undefined && !values.some((value) => JSON.stringify(value) === JSON.stringify(expectation.equals))) {
+    return `json ${expectation.path}: expected ${JSON.stringify(expectation.equals)}, got ${JSON.stringify(values.length === 1 ? values[0] : values)}`;
+  }
+  if (expectation.matches !== undefined && !values.some((value) => toRegExp(expectation.matches).test(String(value)))) {
+    return `json ${expectation.path}: ${JSON.stringify(values.length === 1 ? values[0] : values)} does not match ${expectation.matches}`;
+  }
+  return null;
+}
+
+// Check a reply against a turn's expectations; returns the failure messages
+export function checkExpectations(expect = {}, reply) {
+  const failures = [];
+  const text = reply.text;
+  const lowerText = text.toLowerCase();
+
+  for (const expected of expect.contains !== undefined ? asList(expect.contains) : []) {
+    if (!lowerText.includes(String(expected).toLowerCase())) {
+      failures.push(`expected reply to contain "${expected}"`);
+    }
+  }
+  for (const unexpected of expect.notContains !== undefined ? asList(expect.notContains) : []) {
+    if (lowerText.includes(String(unexpected).toLowerCase())) {
+      failures.push(`expected reply not to contain "${unexpected}"`);
+    }
+  }
+  for (const pattern of expect.regex !== undefined ? asList(expect.regex) : []) {
+    if (!toRegExp(pattern).test(text)) {
+      failures.push(`expected reply to match ${pattern}`);
+    }
+  }
+  if (expect.maxLatencyMs !== undefined && reply.latencyMs > expect.maxLatencyMs) {
+    failures.push(`reply took ${reply.latencyMs} ms, more than ${expect.maxLatencyMs} ms`);
+  }
+  for (const expectation of expect.json !== undefined ? asList(expect.json) : []) {
+    const failure = checkJsonExpectation(reply.data, expectation);
+    if (failure) {
+      failures.push(failure);
+    }
+  }
+
+  return failures;
+}
+
+// Run one conversation
+// onTurn(conversation, turnResult) is called as each turn finishes
+// Resolves with { name, file, turns: [{ user, reply, latencyMs, failures }], failures, timeMs }
+export async function runConversation(conversation, options = {}) {
+  const config = loadConfig();
+  const clientId = getClientId(config);
+  const callTool = (name, args) => runTool(name, args);
+  const startTime = Date.now();
+  const results = { name: conversation.name, file: options.file, turns: [], failures: 0, timeMs: 0 };
+
+  let setupError = null;
+  if (conversation.newSession !== false) {
+    try {
+      await startNewSession(config, clientId, callTool);
+    } catch (error) {
+      setupError = error.message;
+    }
+  }
+
+  for (const turn of conversation.turns) {
+    let turnResult;
+    if (setupError) {
+      turnResult = { user: turn.user, reply: '', latencyMs: 0, failures: [`session could not be started: ${setupError}`] };
+    } else {
+      const turnStart = Date.now();
+      const result = await runTool('agentforce_send_message', { clientId, message: turn.user });
+      const latencyMs = Date.now() - turnStart;
+      const text = replyText(result);
+
+      let failures;
+      try {
+        failures = result.error
+          ? [`agent call failed: ${result.error.message}`]
+          : checkExpectations(turn.expect, { text, latencyMs, data: structuredContent(result, text) });
+      } catch (error) {
+        // An invalid regex or JSON path in the script
+        failures = [`invalid expectation: ${error.message}`];
+      }
+      turnResult = { user: turn.user, reply: text, latencyMs, failures };
+    }
+
+    results.turns.push(turnResult);
+    if (turnResult.failures.length > 0) {
+      results.failures++;
+    }
+    if (options.onTurn) {
+      options.onTurn(conversation, turnResult);
+    }
+  }
+
+  results.timeMs = Date.now() - startTime;
+  return results;
+}
+
+// Escape text for XML
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// JUnit XML report for conversation results: one test suite per conversation, one test case per turn
+export function toJUnitXml(conversations) {
+  const tests = conversations.reduce((sum, conversation) => sum + conversation.turns.length, 0);
+  const failures = conversations.reduce((sum, conversation) => sum + conversation.failures, 0);
+  const time = (conversations.reduce((sum, conversation) => sum + conversation.timeMs, 0) / 1000).toFixed(3);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="agentforce" tests="${tests}" failures="${failures}" time="${time}">`
+  ];
+  for (const conversation of conversations) {
+    lines.push(`  <testsuite name="${xmlEscape(conversation.name)}" tests="${conversation.turns.length}" failures="${conversation.failures}" time="${(conversation.timeMs / 1000).toFixed(3)}"${conversation.file ? ` file="${xmlEscape(conversation.file)}"` : ''}>`);
+    conversation.turns.forEach((turn, index) => {
+      const name = `turn ${index + 1}: ${turn.user}`;
+      const opening = `    <testcase classname="${xmlEscape(conversation.name)}" name="${xmlEscape(name)}" time="${(turn.latencyMs / 1000).toFixed(3)}"`;
+      if (turn.failures.length === 0) {
+        lines.push(`${opening}/>`);
+        return;
+      }
+      lines.push(`${opening}>`);
+      lines.push(`      <failure message="${xmlEscape(turn.failures[0])}">${xmlEscape(`${turn.failures.join('\n')}\n\nReply:\n${turn.reply}`)}</failure>`);
+      lines.push('    </testcase>');
+    });
+    lines.push('  </testsuite>');
+  }
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+// Run script files and print a summary
+// options: { colors, junit, output }
+// Resolves with the exit code: 0 all passed, 1 some expectation failed, 2 a script could not be loaded
+export async function runTests(files, options = {}) {
+  const colors = options.colors;
+  const write = (text) => (options.output || process.stdout).write(text);
+
+  const scripts = [];
+  for (const file of files) {
+    try {
+      scripts.push({ file, conversations: loadTestScript(file) });
+    } catch (error) {
+      write(`${colors.red}Error loading ${file}: ${error.message}${colors.reset}\n`);
+      return 2;
+    }
+  }
+
+  const results = [];
+  for (const { file, conversations } of scripts) {
+    for (const conversation of conversations) {
+      write(`${colors.blue}${conversation.name}${colors.reset}\n`);
+      results.push(await runConversation(conversation, {
+        file,
+        onTurn: (_, turn) => {
+          const mark = turn.failures.length === 0 ? `${colors.green}✓` : `${colors.red}✗`;
+          write(`  ${mark} ${turn.user}${colors.reset} ${colors.yellow}(${turn.latencyMs} ms)${colors.reset}\n`);
+          for (const failure of turn.failures) {
+            write(`      ${colors.red}${failure}${colors.reset}\n`);
+          }
+        }
+      }));
+    }
+  }
+
+  const turns = results.reduce((sum, conversation) => sum + conversation.turns.length, 0);
+  const failed = results.reduce((sum, conversation) => sum + conversation.failures, 0);
+  write('\n');
+  write(failed === 0
+    ? `${colors.green}${turns} turns in ${results.length} conversations passed${colors.reset}\n`
+    : `${colors.red}${failed} of ${turns} turns failed in ${results.filter((conversation) => conversation.failures > 0).length} of ${results.length} conversations${colors.reset}\n`);
+
+  if (options.junit) {
+    fs.mkdirSync(path.dirname(path.resolve(options.junit)), { recursive: true });
+    fs.writeFileSync(options.junit, toJUnitXml(results), 'utf8');
+    write(`JUnit report written to ${options.junit}\n`);
+  }
+
+  return failed === 0 ? 0 : 1;
+}
@@ -0,0 +1,323 @@
+/**
+ * Tool runner
+ * Validates arguments and forwards a registered tool call to the Reliable Server (or, in direct
+ * mode, to the Salesforce Agent API, or to the tool's local handler), running the tool's hooks and
+ * shaping failures into MCP error results. Calls of ordered tools wait their turn in the session's queue.
+ */
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { getTool, getToolTimeout, validateToolArgs } from './tools.js';
+import { formatErrors } from './schema.js';
+import { loadConfig } from './config.js';
+import { logger, withLogContext } from './logger.js';
+import { postToolCall, cancelToolCall, cancelledError } from './request.js';
+import { readToolStream, STREAM_ACCEPT } from './stream.js';
+import { callDirectTool } from './direct.js';
+import { getCassetteMode } from './cassette.js';
+import { recordCall } from './metrics.js';
+import { runInTurn } from './turn-queue.js';
+import { ensureSession, getClientId, invalidateSession, isSessionExpired, resolveSessionHandle } from './session.js';
+
+// Status codes meaning the server does not support streamed tool calls
+const STREAM_UNSUPPORTED_STATUSES = [404, 405, 406, 415, 501];
+
+// Build an MCP error result
+export function errorResult(code, text, message, details) {
+  const error = { code, message };
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return {
+    content: [{
+      type: 'text',
+      text
+    }],
+    error
+  };
+}
+
+// Log a failed server request with secrets redacted
+function logRequestError(tool, error) {
+  const fields = { error };
+
+  if (axios.isAxiosError(error)) {
+    if (error.response) {
+      fields.status = error.response.status;
+      fields.responseData = error.response.data;
+    } else if (error.request) {
+      fields.reason = 'No response received from server';
+    }
+  }
+
+  logger.error(`${tool.errorLabel} error`, fields);
+}
+
+// Error result for a call held back by the client's rate limit or refused by the server with 429,
+// or null when the error is something else
+function rateLimitedResult(tool, error) {
+  let message;
+  if (error.code === 'rate_limited') {
+    message = error.message;
+  } else if (axios.isAxiosError(error) && error.response && error.response.status === 429) {
+    const retryAfter = error.response.headers['retry-after'];
+    message = `the server is refusing requests (HTTP 429)${retryAfter ? `; retry after ${retryAfter}${/^\d+$/.test(retryAfter) ? 's' : ''}` : ''}`;
+  } else {
+    return null;
+  }
+
+  logger.warn(`${tool.errorLabel} rate limited`, { reason: message });
+  return errorResult('rate_limited', `${tool.errorLabel} failed: rate limited, ${message}`, message,
+    error.retryInMs !== undefined ? { retryInMs: error.retryInMs } : undefined);
+}
+
+// Request options for a tool call
+function requestOptions(config, tool, requestId, signal) {
+  return {
+    requestId,
+    idempotent: tool.idempotent,
+    idempotencyKey: tool.idempotencyKey ? requestId : undefined,
+    timeout: getToolTimeout(config, tool),
+    signal
+  };
+}
+
+// Call a tool with a streamed response, reporting partial output through onProgress
+// Resolves to null when the server cannot stream so the caller can fall back to a blocking call;
+// any other outcome means the server got the call
+async function streamToolCall(config, tool, args, requestId, onProgress, signal) {
+  let response;
+
+  try {
+    response = await postToolCall(config, {
+      tool: {
+        name: tool.name,
+        args: args
+      },
+      stream: true
+    }, {
+      ...requestOptions(config, tool, requestId, signal),
+      headers: {
+        'Accept': STREAM_ACCEPT
+      },
+      responseType: 'stream'
+    });
+  } catch (error) {
+    if (axios.isAxiosError(error) && error.response && STREAM_UNSUPPORTED_STATUSES.includes(error.response.status)) {
+      logger.info('Server does not support streaming, falling back to blocking call', { status: error.response.status });
+      return null;
+    }
+    throw error;
+  }
+
+  logger.debug('Streaming response', { contentType: response.headers['content-type'] });
+  return readToolStream(response, onProgress);
+}
+
+// Send the tool call to the server, streaming when the host asked for progress
+async function forwardToolCall(config, tool, args, context) {
+  if (config.mode === 'direct') {
+    return callDirectTool(config, tool, args, getToolTimeout(config, tool), context.signal);
+  }
+
+  logger.debug('Making request', { url: `${config.serverUrl}/mcp/call-tool` });
+
+  let result = null;
+
+  // Cassettes hold whole responses, so calls are not streamed while recording or replaying
+  if (tool.stream && context.onProgress && config.streaming !== false && !getCassetteMode()) {
+    result = await streamToolCall(config, tool, args, context.requestId, context.onProgress, context.signal);
+  }
+
+  // Only a server that refused to stream (null) gets the call again as a blocking request
+  if (result === null) {
+    const response = await postToolCall(config, {
+      tool: {
+        name: tool.name,
+        args: args
+      }
+    }, requestOptions(config, tool, context.requestId, context.signal));
+
+    // axios hands back the raw string when the body is not valid JSON
+    if (!response.data || typeof response.data !== 'object' || !response.data.result) {
+      throw new Error('Malformed response from server');
+    }
+    result = response.data.result;
+  }
+
+  return result;
+}
+
+// Forward a call that needs a live session, starting a new session and retrying once if it expired
+async function forwardSessionToolCall(config, tool, args, context) {
+  const { callTool } = context;
+  await ensureSession(config, args.clientId, callTool);
+
+  let outcome;
+  try {
+    outcome = await forwardToolCall(config, tool, args, context);
+  } catch (error) {
+    outcome = error;
+  }
+
+  if (!isSessionExpired(outcome)) {
+    if (outcome instanceof Error) {
+      throw outcome;
+    }
+    return outcome;
+  }
+
+  logger.warn('Session expired, creating a new session and retrying once', { clientId: args.clientId });
+  invalidateSession(config, args.clientId);
+  await ensureSession(config, args.clientId, callTool);
+
+  // A fresh idempotency key: the server may have stored the failed attempt under the old one
+  context.requestId = uuidv4();
+  return forwardToolCall(config, tool, args, context);
+}
+
+// Forward a tool call to its backend and run its hooks
+async function executeTool(tool, args, context) {
+  try {
+    const { config } = context;
+
+    if (tool.before) {
+      const replacement = await tool.before(args, context);
+      if (replacement !== undefined) {
+        args = replacement;
+        context.args = args;
+      }
+    }
+
+    if (context.signal && context.signal.aborted) {
+      throw cancelledError(context.signal);
+    }
+
+    const startTime = Date.now();
+
+    let result;
+    if (tool.handler) {
+      result = await tool.handler(args, context);
+    } else if (tool.requiresSession) {
+      result = await forwardSessionToolCall(config, tool, args, context);
+    } else {
+      result = await forwardToolCall(config, tool, args, context);
+    }
+
+    context.responseTime = Date.now() - startTime;
+
+    if (tool.after) {
+      const replacement = await tool.after(result, context);
+      if (replacement !== undefined) {
+        result = replacement;
+      }
+    }
+
+    logger.info(`${tool.errorLabel} successful`, { responseTime: context.responseTime });
+    return result;
+  } catch (error) {
+    if (context.signal && context.signal.aborted) {
+      return cancelledResult(tool, context);
+    }
+
+    const limited = rateLimitedResult(tool, error);
+    if (limited) {
+      return limited;
+    }
+
+    logRequestError(tool, error);
+
+    // Return a properly formatted error result
+    return errorResult(tool.errorCode, `${tool.errorLabel} failed: ${error.message}`, error.message);
+  }
+}
+
+// Result of a call the caller aborted; the server is asked to drop the work it may still be doing
+async function cancelledResult(tool, context) {
+  const { message } = cancelledError(context.signal);
+  logger.info(`${tool.errorLabel} cancelled`, { reason: message });
+
+  if (!tool.handler && context.config.mode !== 'direct' && getCassetteMode() !== 'replay') {
+    await cancelToolCall(context.config, context.requestId);
+  }
+  return errorResult('cancelled', `${tool.errorLabel} cancelled: ${message}`, message);
+}
+
+// Validate arguments and run a registered tool
+// options: { onProgress, signal } - onProgress is called with partial output for streaming tools,
+// and aborting the signal cancels the call
+// Every log line written while the tool runs carries its tool name and request id
+export async function runTool(name, args, options = {}) {
+  const tool = getTool(name);
+  if (!tool) {
+    return errorResult('unknown_tool', `Error: Unknown tool: ${name}`, `Unknown tool: ${name}`);
+  }
+
+  const requestId = uuidv4();
+  return withLogContext({ tool: name, requestId }, async () => {
+    const config = loadConfig();
+
+    // On tools keyed on a client id, a session argument picks a named session; the server only knows its client id
+    const properties = tool.inputSchema.properties || {};
+    if (properties.clientId && properties.session && args.session !== undefined) {
+      const handle = resolveSessionHandle(config, args.session);
+      if (!handle) {
+        return errorResult('unknown_session', `Error: Unknown session: ${args.session}`, `Unknown session: ${args.session}`);
+      }
+      const { session, ...rest } = args;
+      args = { ...rest, clientId: handle.clientId };
+    }
+
+    // Tools keyed on a client id use the active session's unless the caller gave one
+    if (properties.clientId && args.clientId === undefined) {
+      args = { ...args, clientId: getClientId(config) };
+    }
+
+    const errors = validateToolArgs(name, args);
+
+    if (errors.length > 0) {
+      const message = formatErrors(errors);
+      logger.warn('Invalid tool arguments', { errors });
+      return errorResult('invalid_arguments', `Invalid arguments for ${name}: ${message}`, message, errors);
+    }
+
+    let startTime = Date.now();
+    const execute = () => {
+      // Time spent queued is the client's, not the agent's
+      startTime = Date.now();
+      return executeTool(tool, args, {
+        tool,
+        args,
+        config,
+        requestId,
+        onProgress: options.onProgress,
+        signal: options.signal,
+        callTool: (toolName, toolArgs) => runTool(toolName, toolArgs)
+      });
+    };
+
+    let result;
+    if (tool.ordered) {
+      try {
+        result = await runInTurn(config, args.clientId, execute, options.signal);
+      } catch (error) {
+        // executeTool never throws, so this is the queue turning the call away
+        result = error.code === 'rate_limited'
+          ? rateLimitedResult(tool, error)
+          : errorResult(error.code, `${tool.errorLabel} cancelled: ${error.message}`, error.message);
+      }
+    } else {
+      result = await execute();
+    }
+
+    // Metrics are about the agent and the server, so local tools are not counted
+    if (!tool.handler) {
+      recordCall(config, {
+        tool: name,
+        code: result.error ? result.error.code || 'error' : null,
+        latencyMs: Date.now() - startTime,
+        responseLength: (result.content || []).reduce((length, item) => length + (item.text || '').length, 0)
+      });
+    }
+    return result;
+  });
+}
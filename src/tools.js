@@ -0,0 +1,532 @@
+/**
+ * AgentForce tool registry
+ * Single source of truth for the tools this client exposes: their arguments, how they are
+ * forwarded to the Reliable Server (or answered locally), and any hooks that run around the call.
+ *
+ * A tool definition looks like:
+ *   {
+ *     name, summary, description, inputSchema,
+ *     timeout,          // milliseconds, overridable per tool through config.toolTimeouts
+ *     errorCode,        // code reported in the error result when the call fails
+ *     errorLabel,       // prefix of the error text, e.g. "Authentication" -> "Authentication failed: ..."
+ *     idempotent,       // safe to retry after an ambiguous failure
+ *     idempotencyKey,   // send an Idempotency-Key header (implies retries are safe)
+ *     stream,           // may stream partial output as progress notifications
+ *     requiresSession,  // authenticate and create a session first when there is none
+ *     ordered,          // calls on the same client id run one at a time, in arrival order
+ *     handler(args, context),  // optional, answers the call locally instead of forwarding it
+ *     before(args, context),   // optional, may return replacement args
+ *     after(result, context)   // optional, may return a replacement result
+ *   }
+ * The context passed to hooks carries { tool, args, config, requestId, responseTime, callTool(name, args) }.
+ */
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { validate } from './schema.js';
+import { logger } from './logger.js';
+import {
+  recordAuthentication,
+  recordSession,
+  touchSession,
+  invalidateSession,
+  clearClientState,
+  getClientState,
+  listSessionHandles,
+  resolveSessionHandle,
+  createSessionHandle,
+  setActiveSession,
+  endSessionHandle,
+  DEFAULT_SESSION
+} from './session.js';
+import { recordTurn, readTranscript, listTranscripts, formatTranscript } from './transcripts.js';
+import { collectMetrics, summarizeMetrics, parseWindow } from './metrics.js';
+import { normalizeReply, replyText } from './response.js';
+import { getRateLimitState } from './request.js';
+import { getQueueState } from './turn-queue.js';
+
+// Defaults applied to every registered tool
+const TOOL_DEFAULTS = {
+  inputSchema: { type: 'object' },
+  timeout: 60000,
+  idempotent: false,
+  idempotencyKey: false,
+  stream: false,
+  requiresSession: false,
+  ordered: false
+};
+
+// Schema fragment shared by every tool: the id the Reliable Server keys its client state on
+const clientIdProperty = {
+  type: 'string',
+  minLength: 1,
+  description: 'Identifier of the AgentForce client on the Reliable Server. Defaults to the client id remembered for the active profile.'
+};
+
+// Schema fragment for picking a named session
+const sessionProperty = {
+  type: 'string',
+  minLength: 1,
+  description: 'Name or session id of the session to use (see agentforce_list_sessions). Defaults to the active session.'
+};
+
+// A successful result with one text item
+function textResult(text) {
+  return {
+    content: [{
+      type: 'text',
+      text
+    }]
+  };
+}
+
+// Add the client's rate limit and message queue figures to a status result
+// A JSON status gets a clientLimits field; any other status gets them as a second text item
+function withClientLimits(result, context) {
+  const clientLimits = {
+    rateLimit: getRateLimitState(context.config),
+    queue: getQueueState(context.config, context.args.clientId)
+  };
+  const [first, ...rest] = result.content || [];
+
+  let status = null;
+  try {
+    status = first && first.type === 'text' ? JSON.parse(first.text) : null;
+  } catch (error) {
+    // Not JSON
+  }
+  if (status && typeof status === 'object' && !Array.isArray(status)) {
+    return { ...result, content: [{ type: 'text', text: JSON.stringify({ ...status, clientLimits }, null, 2) }, ...rest] };
+  }
+  return { ...result, content: [...(result.content || []), { type: 'text', text: `Client limits: ${JSON.stringify(clientLimits, null, 2)}` }] };
+}
+
+// Agent a session talks to, as far as the client knows
+function sessionAgentId(config, handle) {
+  const client = getClientState(config, handle.clientId);
+  return (client.auth && client.auth.agentId) || null;
+}
+
+// Built-in tools in the order they are advertised
+const BUILT_IN_TOOLS = [
+  {
+    name: 'agentforce_authenticate',
+    summary: 'Authenticate with Salesforce',
+    description: 'Authenticate with Salesforce for the given AgentForce agent. The settings are remembered, so sending a message later re-authenticates automatically when needed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        clientId: clientIdProperty,
+        config: {
+          type: 'object',
+          description: 'Salesforce connection settings for the agent.',
+          properties: {
+            agentId: { type: 'string', minLength: 1, description: 'AgentForce agent id (SF_AGENT_ID).' },
+            baseUrl: { type: 'string', description: 'Salesforce login URL (SF_BASE_URL).' },
+            apiUrl: { type: 'string', description: 'Salesforce instance URL (SF_API_URL).' },
+            clientId: { type: 'string', description: 'Connected app consumer key (SF_CLIENT_ID).' },
+            clientSecret: { type: 'string', description: 'Connected app consumer secret (SF_CLIENT_SECRET).' },
+            clientEmail: { type: 'string', description: 'Email of the integration user (SF_CLIENT_EMAIL).' }
+          },
+          required: ['agentId']
+        }
+      },
+      required: ['config']
+    },
+    timeout: 30000,
+    errorCode: 'authentication_error',
+    errorLabel: 'Authentication',
+    idempotent: true,
+    before: (args) => {
+      logger.info('Authenticating with AgentForce', { clientId: args.clientId, agentId: args.config.agentId });
+    },
+    after: (result, context) => {
+      if (!result.error) {
+        recordAuthentication(context.config, context.args.clientId, context.args.config);
+      }
+    }
+  },
+  {
+    name: 'agentforce_create_session',
+    summary: 'Create a new agent session',
+    description: 'Create a new conversation session with the authenticated AgentForce agent.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        clientId: clientIdProperty
+      }
+    },
+    timeout: 60000,
+    errorCode: 'session_creation_error',
+    errorLabel: 'Session creation',
+    after: (result, context) => {
+      if (!result.error) {
+        recordSession(context.config, context.args.clientId, result);
+      }
+    }
+  },
+  {
+    name: 'agentforce_send_message',
+    summary: 'Send a message to the agent',
+    description: 'Send a message to the AgentForce agent in the active session (or the one named by `session`) and return its reply. Authenticates and creates a session automatically when there is none, and starts a new session if the current one expired.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        clientId: clientIdProperty,
+        session: sessionProperty,
+        message: {
+          type: 'string',
+          minLength: 1,
+          description: 'Text of the message to send to the agent.'
+        }
+      },
+      required: ['message']
+    },
+    timeout: 300000,
+    errorCode: 'message_sending_error',
+    errorLabel: 'Message sending',
+    idempotencyKey: true,
+    stream: true,
+    requiresSession: true,
+    ordered: true,
+    before: (args) => {
+      logger.info('Sending message to AgentForce', { clientId: args.clientId, messageLength: args.message.length });
+    },
+    after: (result, context) => {
+      const reply = normalizeReply(result);
+      // A failed call is no turn: nothing goes to the transcript and the session is not kept alive
+      if (result.error) {
+        return reply;
+      }
+      const { outcome } = reply._meta.agentforce;
+      const responseText = replyText(reply);
+      logger.info('Agent replied', { responseTime: context.responseTime, responseLength: responseText.length, outcome });
+
+      const session = getClientState(context.config, context.args.clientId).session;
+      const receivedAt = Date.now();
+      recordTurn(context.config, {
+        sessionId: (session && session.id) || context.args.clientId,
+        clientId: context.args.clientId,
+        requestId: context.requestId,
+        userMessage: context.args.message,
+        agentReply: responseText,
+        sentAt: new Date(receivedAt - context.responseTime).toISOString(),
+        receivedAt: new Date(receivedAt).toISOString(),
+        latencyMs: context.responseTime
+      });
+
+      // After the transcript, so listeners told about the change see the new turn
+      if (outcome === 'ended') {
+        invalidateSession(context.config, context.args.clientId);
+      } else {
+        touchSession(context.config, context.args.clientId);
+      }
+      return reply;
+    }
+  },
+  {
+    name: 'agentforce_get_status',
+    summary: 'Check connection status',
+    description: 'Report the authentication and session status of the AgentForce client.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        clientId: clientIdProperty
+      }
+    },
+    timeout: 10000,
+    errorCode: 'status_check_error',
+    errorLabel: 'Status check',
+    idempotent: true,
+    after: (result, context) => {
+      if (!result.error) {
+        return withClientLimits(result, context);
+      }
+    }
+  },
+  {
+    name: 'agentforce_reset',
+    summary: 'Reset the client',
+    description: 'Reset the AgentForce client, discarding its authentication and session.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        clientId: clientIdProperty
+      }
+    },
+    timeout: 10000,
+    errorCode: 'reset_error',
+    errorLabel: 'Reset',
+    idempotent: true,
+    after: (result, context) => {
+      if (!result.error) {
+        clearClientState(context.config, context.args.clientId);
+      }
+    }
+  },
+  {
+    name: 'agentforce_get_transcript',
+    summary: 'Get a conversation transcript',
+    description: 'Return the locally kept transcript of an agent session: each user message with the agent reply, timestamps, latency and request id. Defaults to the current session, or the most recent one.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        clientId: clientIdProperty,
+        sessionId: {
+          type: 'string',
+          minLength: 1,
+          description: 'Session to return. Defaults to the current session of the client, or the most recent transcript.'
+        },
+        format: {
+          type: 'string',
+          enum: ['md', 'json', 'csv'],
+          description: 'Output format (default md).'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Only return the last N turns.'
+        }
+      }
+    },
+    timeout: 10000,
+    errorCode: 'transcript_error',
+    errorLabel: 'Transcript',
+    idempotent: true,
+    handler: (args, context) => {
+      const session = getClientState(context.config, args.clientId).session;
+      const latest = listTranscripts(context.config)[0];
+      const sessionId = args.sessionId || (session && session.id) || (latest && latest.sessionId);
+      const turns = sessionId ? readTranscript(context.config, sessionId) : null;
+      if (!turns) {
+        throw new Error(sessionId ? `No transcript for session ${sessionId}` : 'No transcripts recorded yet');
+      }
+
+      const selected = args.limit ? turns.slice(-args.limit) : turns;
+      return textResult(formatTranscript(selected, args.format || 'md', sessionId));
+    }
+  },
+  {
+    name: 'agentforce_list_sessions',
+    summary: 'List agent sessions',
+    description: 'List the sessions this client keeps: the default one and any named ones, with the agent each talks to, its current agent session id and which one is active.',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    timeout: 10000,
+    errorCode: 'session_list_error',
+    errorLabel: 'Session listing',
+    idempotent: true,
+    handler: (args, context) => {
+      const sessions = listSessionHandles(context.config).map((handle) => {
+        const client = getClientState(context.config, handle.clientId);
+        return {
+          name: handle.name,
+          active: handle.active,
+          clientId: handle.clientId,
+          agentId: sessionAgentId(context.config, handle),
+          authenticated: Boolean(client.authenticated),
+          sessionId: client.session ? client.session.id : null,
+          createdAt: handle.createdAt,
+          lastUsedAt: client.session ? client.session.lastUsedAt : null
+        };
+      });
+      return textResult(JSON.stringify(sessions, null, 2));
+    }
+  },
+  {
+    name: 'agentforce_switch_session',
+    summary: 'Switch to another agent session',
+    description: 'Make a session the active one, so tools called without `session` or `clientId` use it. A new name creates a session, optionally with another agent; the agent session itself is started with the first message.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session: {
+          type: 'string',
+          minLength: 1,
+          description: 'Name or session id of the session to switch to. A new name creates a session.'
+        },
+        agentId: {
+          type: 'string',
+          minLength: 1,
+          description: 'Agent a new session talks to. Defaults to the agent of the active session.'
+        }
+      },
+      required: ['session']
+    },
+    timeout: 10000,
+    errorCode: 'session_switch_error',
+    errorLabel: 'Session switch',
+    handler: (args, context) => {
+      let handle = resolveSessionHandle(context.config, args.session);
+      const created = !handle;
+      if (created) {
+        handle = createSessionHandle(context.config, args.session, args.agentId);
+      } else if (args.agentId && args.agentId !== sessionAgentId(context.config, handle)) {
+        throw new Error(`Session ${handle.name} talks to agent ${sessionAgentId(context.config, handle)}; end it first to use agent ${args.agentId}`);
+      }
+
+      setActiveSession(context.config, handle.name);
+      const agentId = sessionAgentId(context.config, handle);
+      return textResult(created
+        ? `Created and switched to session ${handle.name}${agentId ? ` (agent ${agentId})` : ''}. The agent session starts with the first message.`
+        : `Switched to session ${handle.name}${agentId ? ` (agent ${agentId})` : ''}`);
+    }
+  },
+  {
+    name: 'agentforce_end_session',
+    summary: 'End an agent session',
+    description: 'End a session: the client is reset on the server and a named session is forgotten. Ending the active session makes the default session active.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session: {
+          type: 'string',
+          minLength: 1,
+          description: 'Name or session id of the session to end. Defaults to the active session.'
+        }
+      }
+    },
+    timeout: 30000,
+    errorCode: 'session_end_error',
+    errorLabel: 'Session end',
+    handler: async (args, context) => {
+      const handle = args.session
+        ? resolveSessionHandle(context.config, args.session)
+        : listSessionHandles(context.config).find((candidate) => candidate.active);
+      if (!handle) {
+        throw new Error(`Unknown session: ${args.session}`);
+      }
+
+      await endSessionHandle(context.config, handle, context.callTool);
+      return textResult(handle.name === DEFAULT_SESSION
+        ? 'Default session ended; a new one starts with the next message'
+        : `Session ${handle.name} ended${handle.active ? `; the active session is now ${DEFAULT_SESSION}` : ''}`);
+    }
+  },
+  {
+    name: 'agentforce_get_metrics',
+    summary: 'Get tool call metrics',
+    description: 'Return metrics of the calls this client made to the agent, per tool: call count, error rate, errors by code and p50/p95/p99 latency. Useful to tell how slow or flaky an agent has been.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        since: {
+          type: 'string',
+          minLength: 1,
+          description: 'Start of the window: a duration such as 30m, 24h or 7d, or a date. Defaults to all the metrics kept.'
+        },
+        tool: {
+          type: 'string',
+          minLength: 1,
+          description: 'Only report this tool.'
+        }
+      }
+    },
+    timeout: 10000,
+    errorCode: 'metrics_error',
+    errorLabel: 'Metrics',
+    idempotent: true,
+    handler: (args, context) => {
+      const collected = collectMetrics(context.config, {
+        since: args.since ? parseWindow(args.since) : null,
+        tool: args.tool
+      });
+      return textResult(JSON.stringify(summarizeMetrics(collected), null, 2));
+    }
+  }
+];
+
+const registry = new Map();
+
+// Add a tool to the registry
+// Throws if the definition is invalid or the name is taken, unless replace is set
+export function registerTool(definition, { replace = false } = {}) {
+  if (!definition || typeof definition.name !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(definition.name)) {
+    throw new Error(`Invalid tool name: ${definition && definition.name}`);
+  }
+  if (registry.has(definition.name) && !replace) {
+    throw new Error(`Tool already registered: ${definition.name}`);
+  }
+  for (const hook of ['before', 'after', 'handler']) {
+    if (definition[hook] !== undefined && typeof definition[hook] !== 'function') {
+      throw new Error(`Tool ${definition.name}: ${hook} hook must be a function`);
+    }
+  }
+
+  const tool = {
+    ...TOOL_DEFAULTS,
+    description: definition.summary || `Pass-through call to the Reliable Server tool ${definition.name}.`,
+    errorCode: 'tool_error',
+    errorLabel: definition.name,
+    ...definition
+  };
+  tool.summary = tool.summary || tool.description;
+
+  registry.set(tool.name, tool);
+  return tool;
+}
+
+// Look up a tool definition by name
+export function getTool(name) {
+  return registry.get(name) || null;
+}
+
+// All tool definitions, in advertising order
+export function getTools() {
+  return [...registry.values()];
+}
+
+// Tool list in the shape returned by MCP tools/list
+export function listTools() {
+  return getTools().map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+}
+
+// Validate tool arguments against the tool's input schema
+export function validateToolArgs(name, args) {
+  const tool = getTool(name);
+  if (!tool) {
+    return [];
+  }
+  return validate(tool.inputSchema, args);
+}
+
+// Timeout for a tool, honoring config.toolTimeouts overrides
+export function getToolTimeout(config, tool) {
+  const overrides = (config && config.toolTimeouts) || {};
+  return typeof overrides[tool.name] === 'number' ? overrides[tool.name] : tool.timeout;
+}
+
+// Register pass-through tools declared in config.tools and plugin modules listed in config.toolPlugins
+// Plugin paths are resolved relative to baseDir. A plugin either exports a `tools` array or a
+// default function that receives { registerTool }.
+export async function loadConfiguredTools(config, baseDir) {
+  for (const definition of (config && config.tools) || []) {
+    try {
+      registerTool(definition);
+      logger.info('Registered pass-through tool from config', { tool: definition.name });
+    } catch (error) {
+      logger.error('Skipping invalid tool from config', { error });
+    }
+  }
+
+  for (const plugin of (config && config.toolPlugins) || []) {
+    const pluginPath = path.resolve(baseDir, plugin);
+    try {
+      const module = await import(pathToFileURL(pluginPath).href);
+      if (typeof module.default === 'function') {
+        await module.default({ registerTool });
+      }
+      for (const definition of module.tools || []) {
+        registerTool(definition);
+      }
+      logger.info('Loaded tool plugin', { plugin: pluginPath });
+    } catch (error) {
+      logger.error('Error loading tool plugin', { plugin: pluginPath, error });
+    }
+  }
+}
+
+for (const tool of BUILT_IN_TOOLS) {
+  registerTool(tool);
+}
@@ -0,0 +1,152 @@
+/**
+ * Conversation transcripts
+ * Keeps every turn of every agent session in transcripts/<profile>/<session>.jsonl under the config
+ * directory: the user message, the agent reply, timestamps, latency and request id. Transcripts
+ * can be turned off and are pruned by age and count. Replayed cassettes are not real conversations
+ * and leave no transcript.
+ */
+import fs from 'fs';
+import path from 'path';
+import { TRANSCRIPTS_DIR } from './config.js';
+import { logger } from './logger.js';
+import { getCassetteMode } from './cassette.js';
+
+// Defaults for config.transcripts
+export const DEFAULT_TRANSCRIPT_SETTINGS = {
+  enabled: true,
+  retentionDays: 30,
+  maxSessions: 500
+};
+
+// Export formats and their file extensions
+export const TRANSCRIPT_FORMATS = {
+  md: 'md',
+  markdown: 'md',
+  json: 'json',
+  csv: 'csv'
+};
+
+// Transcript settings for a config; AGENTFORCE_TRANSCRIPTS=off turns them off
+export function transcriptSettings(config) {
+  const settings = { ...DEFAULT_TRANSCRIPT_SETTINGS, ...((config && config.transcripts) || {}) };
+  if (/^(off|false|0|no)$/i.test(process.env.AGENTFORCE_TRANSCRIPTS || '')) {
+    settings.enabled = false;
+  }
+  return settings;
+}
+
+// Directory holding a profile's transcripts
+function profileDir(config) {
+  return path.join(TRANSCRIPTS_DIR, String(config.profile).replace(/[^A-Za-z0-9_.-]/g, '_'));
+}
+
+// File of one session's transcript
+function transcriptFile(config, sessionId) {
+  return path.join(profileDir(config), `${String(sessionId).replace(/[^A-Za-z0-9_.-]/g, '_')}.jsonl`);
+}
+
+// Append one turn to its session's transcript
+// turn: { sessionId, clientId, requestId, userMessage, agentReply, sentAt, receivedAt, latencyMs }
+export function recordTurn(config, turn) {
+  const settings = transcriptSettings(config);
+  if (!settings.enabled || getCassetteMode() === 'replay') {
+    return;
+  }
+
+  try {
+    const file = transcriptFile(config, turn.sessionId);
+    const isNew = !fs.existsSync(file);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(turn) + '\n', { encoding: 'utf8', mode: 0o600 });
+
+    // A new session is a good moment to drop old ones
+    if (isNew) {
+      pruneTranscripts(config);
+    }
+  } catch (error) {
+    logger.error('Error writing transcript', { error });
+  }
+}
+
+// Whether a session has a transcript
+export function hasTranscript(config, sessionId) {
+  return fs.existsSync(transcriptFile(config, sessionId));
+}
+
+// Turns of a session, oldest first; null if there is no transcript
+export function readTranscript(config, sessionId) {
+  if (!hasTranscript(config, sessionId)) {
+    return null;
+  }
+  return fs.readFileSync(transcriptFile(config, sessionId), 'utf8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+// Sessions with a transcript for the config's profile, most recent first
+// Returns [{ sessionId, file, modifiedAt }]
+export function listTranscripts(config) {
+  const dir = profileDir(config);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter((file) => file.endsWith('.jsonl'))
+    .map((file) => {
+      const fullPath = path.join(dir, file);
+      return {
+        sessionId: file.slice(0, -'.jsonl'.length),
+        file: fullPath,
+        modifiedAt: fs.statSync(fullPath).mtime
+      };
+    })
+    .sort((a, b) => b.modifiedAt - a.modifiedAt);
+}
+
+// Delete transcripts older than retentionDays and beyond the newest maxSessions
+export function pruneTranscripts(config) {
+  const { retentionDays, maxSessions } = transcriptSettings(config);
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+  listTranscripts(config).forEach((transcript, index) => {
+    if ((retentionDays > 0 && transcript.modifiedAt.getTime() < cutoff) || (maxSessions > 0 && index >= maxSessions)) {
+      try {
+        fs.unlinkSync(transcript.file);
+      } catch (error) {
+        logger.warn('Error deleting old transcript', { file: transcript.file, error });
+      }
+    }
+  });
+}
+
+// Quote a CSV field
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Render turns as Markdown, JSON or CSV
+export function formatTranscript(turns, format = 'md', sessionId) {
+  const extension = TRANSCRIPT_FORMATS[format];
+  if (!extension) {
+    throw new Error(`Unknown transcript format: ${format} (expected md, json or csv)`);
+  }
+
+  if (extension === 'json') {
+    return JSON.stringify({ sessionId, turns }, null, 2) + '\n';
+  }
+
+  if (extension === 'csv') {
+    const columns = ['sentAt', 'receivedAt', 'latencyMs', 'requestId', 'userMessage', 'agentReply'];
+    const rows = turns.map((turn) => columns.map((column) => csvField(turn[column])).join(','));
+    return [columns.join(','), ...rows].join('\n') + '\n';
+  }
+
+  const lines = [`# AgentForce conversation ${sessionId || ''}`.trim(), ''];
+  for (const turn of turns) {
+    lines.push(`**User** (${turn.sentAt}):`, '', turn.userMessage, '');
+    lines.push(`**Agent** (${turn.receivedAt}, ${turn.latencyMs} ms, request ${turn.requestId}):`, '', turn.agentReply, '');
+  }
+  return lines.join('\n');
+}
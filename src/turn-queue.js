@@ -0,0 +1,124 @@
+/**
+ * Session turn queue
+ * Messages to the same session are sent one at a time, in the order they arrived: a turn starts
+ * only once the previous one has its reply. Each session's queue is capped (rateLimit.maxQueueDepth)
+ * so a runaway caller gets a rate limited error instead of piling up work, and the time turns spend
+ * waiting is tracked per profile for status reporting. Only sessions with turns in them hold a queue.
+ */
+import { logger } from './logger.js';
+import { resolveRateLimit, rateLimitedError, cancelledError } from './request.js';
+
+// Queues with turns in them, by profile and client id; a queue is dropped once it is empty
+const queues = new Map();
+
+// Wait and rejection figures by profile, across all of its sessions
+const totals = new Map();
+
+// Key of a session's queue
+function queueKey(config, clientId) {
+  return `${config.profile}:${clientId}`;
+}
+
+// Get (or create) the queue of a session
+function getQueue(config, clientId) {
+  const key = queueKey(config, clientId);
+  if (!queues.has(key)) {
+    queues.set(key, { tail: Promise.resolve(), depth: 0 });
+  }
+  return queues.get(key);
+}
+
+// Get (or create) the figures of a profile
+function getTotals(config) {
+  if (!totals.has(config.profile)) {
+    totals.set(config.profile, { turns: 0, lastWaitMs: 0, maxWaitMs: 0, totalWaitMs: 0, rejected: 0 });
+  }
+  return totals.get(config.profile);
+}
+
+// Wait for a promise, rejecting early if the signal aborts
+function waitFor(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(cancelledError(signal));
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(cancelledError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    });
+  });
+}
+
+// Run a turn once every turn queued before it on the session has finished
+// Rejects with a rate_limited error when the queue is full, or a cancelled error if the signal aborts while waiting
+export async function runInTurn(config, clientId, task, signal) {
+  const key = queueKey(config, clientId);
+  const queue = getQueue(config, clientId);
+  const stats = getTotals(config);
+  const limit = resolveRateLimit(config);
+
+  // Turns stay ordered with the rate limit off; only the cap goes
+  if (limit.enabled && queue.depth >= limit.maxQueueDepth) {
+    stats.rejected++;
+    logger.warn('Session queue full', { clientId, depth: queue.depth });
+    throw rateLimitedError(`${queue.depth} messages are already queued for this session`);
+  }
+
+  // The next turn waits for this one and, should this one be cancelled while queued, for the one before
+  const previous = queue.tail;
+  let finish;
+  const finished = new Promise((resolve) => {
+    finish = resolve;
+  });
+  queue.tail = previous.then(() => finished);
+  queue.depth++;
+
+  const queuedAt = Date.now();
+  try {
+    await waitFor(previous, signal);
+
+    const wait = Date.now() - queuedAt;
+    stats.turns++;
+    stats.lastWaitMs = wait;
+    stats.maxWaitMs = Math.max(stats.maxWaitMs, wait);
+    stats.totalWaitMs += wait;
+    if (wait > 0) {
+      logger.debug('Turn waited for the session queue', { clientId, wait });
+    }
+
+    return await task();
+  } finally {
+    queue.depth--;
+    finish();
+    // Every turn has left, so the next one has nothing to wait for
+    if (queue.depth === 0) {
+      queues.delete(key);
+    }
+  }
+}
+
+// Queue figures for status reporting: the session's depth, and wait times and rejections across the profile
+// Reading them leaves no trace of sessions that have nothing queued
+export function getQueueState(config, clientId) {
+  const queue = queues.get(queueKey(config, clientId));
+  const stats = totals.get(config.profile) || { turns: 0, lastWaitMs: 0, maxWaitMs: 0, totalWaitMs: 0, rejected: 0 };
+  return {
+    depth: queue ? queue.depth : 0,
+    maxDepth: resolveRateLimit(config).maxQueueDepth,
+    turns: stats.turns,
+    lastWaitMs: stats.lastWaitMs,
+    maxWaitMs: stats.maxWaitMs,
+    avgWaitMs: stats.turns > 0 ? Math.round(stats.totalWaitMs / stats.turns) : 0,
+    rejected: stats.rejected
+  };
+}
+
+// Number of sessions with turns queued or in flight
+export function activeQueueCount() {
+  return queues.size;
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempHome, writeConfig } from './helpers.js';
+
+const home = useTempHome();
+const { createMockServer } = await import('../src/mock-server.js');
+
+test('aborting a call forwards the cancellation to the server under its request id', async (t) => {
+  const mock = createMockServer({ scenario: { errors: [{ tool: 'agentforce_send_message', type: 'timeout' }] } });
+  const serverUrl = await mock.listen(0);
+  t.after(() => mock.close());
+  writeConfig(home, { profiles: { default: { serverUrl } }, activeProfile: 'default', agent: { agentId: 'agent-1' } });
+  const { runTool } = await import('../src/tool-runner.js');
+
+  const controller = new AbortController();
+  const running = runTool('agentforce_send_message', { message: 'hi' }, { signal: controller.signal });
+  const deadline = Date.now() + 5000;
+  while (!mock.calls.some((call) => call.tool === 'agentforce_send_message') && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  controller.abort(new Error('User stopped it'));
+  const result = await running;
+
+  assert.equal(result.error.code, 'cancelled');
+  assert.match(result.error.message, /User stopped it/);
+  const sent = mock.calls.find((call) => call.tool === 'agentforce_send_message');
+  assert.deepEqual(mock.cancelled, [sent.requestId]);
+});
+
+test('a call aborted before it is sent never reaches the server', async (t) => {
+  const mock = createMockServer();
+  const serverUrl = await mock.listen(0);
+  t.after(() => mock.close());
+  writeConfig(home, { profiles: { default: { serverUrl } }, activeProfile: 'default' });
+  const { runTool } = await import('../src/tool-runner.js');
+
+  const result = await runTool('agentforce_get_status', {}, { signal: AbortSignal.abort() });
+
+  assert.equal(result.error.code, 'cancelled');
+  assert.equal(mock.calls.length, 0);
+});
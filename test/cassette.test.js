@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempHome, writeConfig } from './helpers.js';
+
+const home = useTempHome();
+const configDir = path.join(home, '.agentforce-reliable-client');
+const { createMockServer } = await import('../src/mock-server.js');
+const { startRecording, startReplay } = await import('../src/cassette.js');
+const { runTool } = await import('../src/tool-runner.js');
+
+// Credentials and identifiers that must never reach a cassette
+const SECRETS = {
+  apiKey: 'api-key-789',
+  clientId: 'consumer-key-123',
+  clientSecret: 'consumer-secret-456',
+  clientEmail: 'bot@example.com',
+  agentId: '0XxAGENT0001',
+  apiUrl: 'https://acme.my.salesforce.com'
+};
+
+// Files under a directory of the config dir, recursively
+function filesIn(name) {
+  const dir = path.join(configDir, name);
+  return fs.existsSync(dir) ? fs.readdirSync(dir, { recursive: true }).sort() : [];
+}
+
+test('a recording holds no credentials and replays without the server, whatever the local state', async () => {
+  const mock = createMockServer({ scenario: { apiKey: SECRETS.apiKey, replies: [{ reply: 'Echo: {{message}}' }] } });
+  const url = await mock.listen(0);
+  process.env.TEST_AGENTFORCE_API_KEY = SECRETS.apiKey;
+  writeConfig(home, {
+    profiles: { default: { serverUrl: url, apiKeyEnv: 'TEST_AGENTFORCE_API_KEY' } },
+    activeProfile: 'default',
+    agent: { agentId: SECRETS.agentId, clientId: SECRETS.clientId, clientSecret: SECRETS.clientSecret, clientEmail: SECRETS.clientEmail, apiUrl: SECRETS.apiUrl }
+  });
+
+  // Local state claiming a live session, which would skip authentication if it were used
+  const statePath = path.join(configDir, 'state.json');
+  const localState = JSON.stringify({ profiles: { default: { clientId: 'local-client', clients: { 'local-client': { authenticated: true, session: { id: 'local-session' } } } } } });
+  fs.writeFileSync(statePath, localState);
+
+  const cassettes = path.join(home, 'cassettes');
+  const file = startRecording(cassettes);
+  const recorded = await runTool('agentforce_send_message', { message: 'hello' });
+  const status = await runTool('agentforce_get_status', {});
+  await mock.close();
+
+  assert.equal(recorded.content[0].text, 'Echo: hello');
+  assert.equal(status.error, undefined);
+
+  const text = fs.readFileSync(file, 'utf8');
+  for (const [name, value] of Object.entries(SECRETS)) {
+    assert.ok(!text.includes(value), `${name} found in the cassette`);
+  }
+  const cassette = JSON.parse(text);
+  assert.deepEqual(cassette.interactions.map((interaction) => interaction.tool),
+    ['agentforce_authenticate', 'agentforce_create_session', 'agentforce_send_message', 'agentforce_get_status']);
+  assert.equal(fs.readFileSync(statePath, 'utf8'), localState);
+
+  const transcripts = filesIn('transcripts');
+  const metrics = filesIn('metrics');
+
+  startReplay(cassettes);
+  const replayed = await runTool('agentforce_send_message', { message: 'hello' });
+
+  assert.equal(replayed.content[0].text, 'Echo: hello');
+  assert.equal(fs.readFileSync(statePath, 'utf8'), localState);
+  assert.deepEqual(filesIn('transcripts'), transcripts);
+  assert.deepEqual(filesIn('metrics'), metrics);
+});
+
+test('keepFields leaves chosen fields readable', async () => {
+  const mock = createMockServer({ scenario: { replies: [{ reply: 'ok' }] } });
+  const url = await mock.listen(0);
+  writeConfig(home, { profiles: { default: { serverUrl: url } }, activeProfile: 'default' });
+
+  const file = startRecording(path.join(home, 'cassettes-kept'), { keepFields: ['agentId'], scrubFields: ['note'] });
+  await runTool('agentforce_authenticate', { config: { agentId: 'agent-visible', clientId: 'hidden-key', note: 'n' } });
+  await mock.close();
+
+  const args = JSON.parse(fs.readFileSync(file, 'utf8')).interactions[0].request.body.tool.args.config;
+  assert.equal(args.agentId, 'agent-visible');
+  assert.equal(args.clientId, '[REDACTED]');
+  assert.equal(args.note, '[REDACTED]');
+});
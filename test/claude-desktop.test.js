@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempHome } from './helpers.js';
+
+useTempHome();
+const { claudeDesktopEntry, findClaudeDesktopEntry } = await import('../src/claude-desktop.js');
+
+test('entries always pass the profile, default included', () => {
+  assert.deepEqual(claudeDesktopEntry('default'), { name: 'agentforce', command: 'npx', args: ['agentforce-reliable-tool', '--profile', 'default'] });
+  assert.deepEqual(claudeDesktopEntry(undefined).args, ['agentforce-reliable-tool', '--profile', 'default']);
+  assert.deepEqual(claudeDesktopEntry('prod', { DEBUG: '1' }), {
+    name: 'agentforce-prod',
+    command: 'npx',
+    args: ['agentforce-reliable-tool', '--profile', 'prod'],
+    env: { DEBUG: '1' }
+  });
+});
+
+test('entries are found by name or by the profile they run', () => {
+  const desktopConfig = {
+    mcpServers: {
+      legacy: { command: 'npx', args: ['agentforce-reliable-tool'] },
+      sandbox: { command: 'npx', args: ['agentforce-reliable-tool', '--profile', 'sandbox'] },
+      other: { command: 'node', args: ['other-server.js'] }
+    }
+  };
+
+  assert.equal(findClaudeDesktopEntry(desktopConfig, 'default'), 'legacy');
+  assert.equal(findClaudeDesktopEntry(desktopConfig, 'sandbox'), 'sandbox');
+  assert.equal(findClaudeDesktopEntry(desktopConfig, 'prod'), null);
+  assert.equal(findClaudeDesktopEntry({ mcpServers: { 'agentforce-prod': { command: 'npx', args: [] } } }, 'prod'), 'agentforce-prod');
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempHome, writeConfig } from './helpers.js';
+
+const home = useTempHome();
+const { loadConfig, selectProfile, storeApiKey, resolveApiKey } = await import('../src/config.js');
+
+test('the profile comes from --profile, then AGENTFORCE_PROFILE, then activeProfile', (t) => {
+  t.after(() => {
+    selectProfile(null);
+    delete process.env.AGENTFORCE_PROFILE;
+  });
+  writeConfig(home, {
+    profiles: {
+      default: { serverUrl: 'http://default.test' },
+      prod: { serverUrl: 'http://prod.test' },
+      sandbox: { serverUrl: 'http://sandbox.test' }
+    },
+    activeProfile: 'prod'
+  });
+
+  assert.equal(loadConfig().serverUrl, 'http://prod.test');
+
+  process.env.AGENTFORCE_PROFILE = 'sandbox';
+  assert.equal(loadConfig().profile, 'sandbox');
+
+  selectProfile('default');
+  assert.equal(loadConfig().serverUrl, 'http://default.test');
+  assert.equal(loadConfig('prod').serverUrl, 'http://prod.test');
+});
+
+test('a single-server config is read as the default profile', () => {
+  writeConfig(home, { serverUrl: 'http://legacy.test', reliability: { retries: 1 } });
+  const config = loadConfig();
+
+  assert.equal(config.profile, 'default');
+  assert.equal(config.serverUrl, 'http://legacy.test');
+  assert.deepEqual(config.reliability, { retries: 1 });
+});
+
+test('the API key comes from apiKeyCommand, then apiKeyEnv, then the secret store, then a plaintext apiKey', (t) => {
+  t.after(() => delete process.env.TEST_ORDER_KEY);
+  process.env.TEST_ORDER_KEY = 'from-env';
+
+  assert.equal(resolveApiKey('order', { apiKey: 'plain' }), 'plain');
+
+  storeApiKey('order', 'from-store');
+  assert.equal(resolveApiKey('order', { apiKey: 'plain' }), 'from-store');
+  assert.equal(resolveApiKey('order', { apiKey: 'plain', apiKeyEnv: 'TEST_ORDER_KEY' }), 'from-env');
+  assert.equal(resolveApiKey('order', { apiKeyEnv: 'TEST_ORDER_KEY', apiKeyCommand: 'echo from-command' }), 'from-command');
+  assert.equal(resolveApiKey('order', { apiKeyEnv: 'TEST_ORDER_UNSET' }), '');
+});
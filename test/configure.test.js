@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempHome, writeConfig, runCli } from './helpers.js';
+
+const home = useTempHome();
+const configPath = path.join(home, '.agentforce-reliable-client', 'config.json');
+const { loadConfig, storeApiKey } = await import('../src/config.js');
+
+// Run configure on the default profile without prompts or a server
+function configure(...args) {
+  return runCli(home, ['configure', '--non-interactive', '--skip-verify', '--server-url', 'http://localhost:3000', ...args], {
+    AGENTFORCE_API_KEY: '',
+    TEST_KEY_VAR: 'from-env'
+  });
+}
+
+// The default profile as stored
+function storedProfile() {
+  return JSON.parse(fs.readFileSync(configPath, 'utf8')).profiles.default;
+}
+
+// Start each switch from a profile that uses the given source
+function startWith(profile) {
+  writeConfig(home, { profiles: { default: { serverUrl: 'http://localhost:3000', ...profile } }, activeProfile: 'default' });
+}
+
+test('switching from a command to an environment variable removes the command', async () => {
+  startWith({ apiKeyCommand: 'echo from-command' });
+  assert.equal((await configure('--api-key-env', 'TEST_KEY_VAR')).code, 0);
+
+  assert.equal(storedProfile().apiKeyEnv, 'TEST_KEY_VAR');
+  assert.equal('apiKeyCommand' in storedProfile(), false);
+  process.env.TEST_KEY_VAR = 'from-env';
+  assert.equal(loadConfig('default').apiKey, 'from-env');
+});
+
+test('switching from an environment variable to a command removes the variable', async () => {
+  startWith({ apiKeyEnv: 'TEST_KEY_VAR' });
+  assert.equal((await configure('--api-key-command', 'echo from-command')).code, 0);
+
+  assert.equal(storedProfile().apiKeyCommand, 'echo from-command');
+  assert.equal('apiKeyEnv' in storedProfile(), false);
+});
+
+test('--api-key goes back to the secret store', async () => {
+  startWith({ apiKeyEnv: 'TEST_KEY_VAR' });
+  assert.equal((await configure('--api-key', 'stored-key')).code, 0);
+
+  assert.equal('apiKeyEnv' in storedProfile(), false);
+  assert.equal(loadConfig('default').apiKey, 'stored-key');
+});
+
+test('--rotate-key replaces the key held by a command with a stored one', async () => {
+  startWith({ apiKeyCommand: 'echo from-command' });
+  assert.equal((await configure('--rotate-key', '--api-key', 'rotated-key')).code, 0);
+
+  assert.equal('apiKeyCommand' in storedProfile(), false);
+  assert.equal(loadConfig('default').apiKey, 'rotated-key');
+});
+
+test('--api-key-store uses the key already in the secret store', async () => {
+  storeApiKey('default', 'kept-key');
+  startWith({ apiKeyCommand: 'echo from-command' });
+  assert.equal((await configure('--api-key-store')).code, 0);
+
+  assert.equal('apiKeyCommand' in storedProfile(), false);
+  assert.equal(loadConfig('default').apiKey, 'kept-key');
+});
+
+test('two key sources at once are refused', async () => {
+  startWith({});
+  assert.equal((await configure('--api-key-env', 'TEST_KEY_VAR', '--api-key', 'x')).code, 2);
+});
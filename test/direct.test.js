@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempHome, startServer, readJson } from './helpers.js';
+
+useTempHome();
+const { callDirectTool } = await import('../src/direct.js');
+const { getTool } = await import('../src/tools.js');
+
+// A stub of the Salesforce token endpoint and Agent API; failures lists the message sends to answer with 500
+async function startAgentApi(failures = []) {
+  const sequenceIds = [];
+  let sends = 0;
+  const server = await startServer(async (request, response) => {
+    const body = request.method === 'POST' && request.url !== '/services/oauth2/token' ? await readJson(request) : {};
+    const reply = (status, data) => {
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(data));
+    };
+
+    if (request.url === '/services/oauth2/token') {
+      return reply(200, { access_token: 'token-1', expires_in: 3600 });
+    }
+    if (/\/agents\/[^/]+\/sessions$/.test(request.url)) {
+      return reply(200, { sessionId: 'session-1', messages: [{ type: 'Inform', message: 'Hi' }] });
+    }
+    if (/\/sessions\/session-1\/messages$/.test(request.url)) {
+      sends++;
+      if (failures.includes(sends)) {
+        return reply(500, { message: 'Agent unavailable' });
+      }
+      sequenceIds.push(body.message.sequenceId);
+      return reply(200, { messages: [{ type: 'Inform', message: `Got ${body.message.text}` }] });
+    }
+    return reply(200, {});
+  });
+  return { ...server, sequenceIds };
+}
+
+// Run a built-in tool against the direct backend
+function call(config, name, args) {
+  return callDirectTool(config, getTool(name), args, 5000);
+}
+
+test('messages carry consecutive sequence ids, also after a failed send', async (t) => {
+  const api = await startAgentApi([2]);
+  t.after(api.close);
+
+  const config = { profile: 'default', mode: 'direct', proxy: false };
+  const auth = { apiUrl: api.url, agentApiUrl: api.url, clientId: 'id', clientSecret: 'secret', agentId: 'agent-1' };
+
+  assert.equal((await call(config, 'agentforce_authenticate', { clientId: 'c1', config: auth })).error, undefined);
+  assert.equal((await call(config, 'agentforce_create_session', { clientId: 'c1' })).sessionId, 'session-1');
+
+  const first = await call(config, 'agentforce_send_message', { clientId: 'c1', message: 'one' });
+  const failed = await call(config, 'agentforce_send_message', { clientId: 'c1', message: 'two' });
+  const retried = await call(config, 'agentforce_send_message', { clientId: 'c1', message: 'two' });
+
+  assert.equal(first.content[0].text, 'Got one');
+  assert.equal(failed.error.code, 'message_sending_error');
+  assert.equal(retried.content[0].text, 'Got two');
+  assert.deepEqual(api.sequenceIds, [1, 2]);
+
+  const status = JSON.parse((await call(config, 'agentforce_get_status', { clientId: 'c1' })).content[0].text);
+  assert.equal(status.sequenceId, 2);
+});
@@ -0,0 +1,72 @@
+/**
+ * Test helpers
+ * Tests run against a throwaway home directory, so config, state, transcripts and metrics never
+ * touch the real ~/.agentforce-reliable-client. Call useTempHome before importing anything from src/:
+ * config paths are fixed when config.js is first loaded.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+// Entry point of the command line tool
+const CLI_PATH = fileURLToPath(new URL('../src/client.js', import.meta.url));
+
+// Point HOME at a new temporary directory holding the given config.json, removed when the process exits
+export function useTempHome(config = {}) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'agentforce-test-'));
+  process.env.HOME = home;
+  process.on('exit', () => fs.rmSync(home, { recursive: true, force: true }));
+  const configDir = path.join(home, '.agentforce-reliable-client');
+  fs.mkdirSync(configDir, { recursive: true });
+  fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify(config, null, 2));
+  return home;
+}
+
+// Start an HTTP server on a free local port; resolves with { url, close() }
+export async function startServer(handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// Read a request body as JSON
+export async function readJson(request) {
+  let body = '';
+  for await (const chunk of request) {
+    body += chunk;
+  }
+  return body ? JSON.parse(body) : {};
+}
+
+// Replace the config.json of a home set up with useTempHome
+export function writeConfig(home, config) {
+  fs.writeFileSync(path.join(home, '.agentforce-reliable-client', 'config.json'), JSON.stringify(config, null, 2));
+}
+
+// Run the CLI with the given arguments and HOME; resolves with { code, stdout, stderr }
+export function runCli(home, args, env = {}) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [CLI_PATH, ...args], {
+      env: { ...process.env, HOME: home, ...env },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    child.on('close', (code) => resolve({ code, stdout, stderr }));
+  });
+}
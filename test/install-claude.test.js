@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempHome, runCli } from './helpers.js';
+
+const home = useTempHome({
+  profiles: {
+    default: { serverUrl: 'http://default.test' },
+    prod: { serverUrl: 'http://prod.test' }
+  },
+  activeProfile: 'prod'
+});
+
+test('install-claude for default pins the default profile while another one is active', async () => {
+  const configPath = path.join(home, 'claude_desktop_config.json');
+  fs.writeFileSync(configPath, JSON.stringify({ mcpServers: { other: { command: 'node', args: ['other.js'] } } }));
+
+  const { code } = await runCli(home, ['install-claude', '--profile', 'default', '--config-path', configPath]);
+  assert.equal(code, 0);
+
+  const servers = JSON.parse(fs.readFileSync(configPath, 'utf8')).mcpServers;
+  assert.deepEqual(servers.agentforce, { command: 'npx', args: ['agentforce-reliable-tool', '--profile', 'default'] });
+  assert.deepEqual(servers.other, { command: 'node', args: ['other.js'] });
+});
+
+test('install-claude updates an entry written without --profile in place', async () => {
+  const configPath = path.join(home, 'claude_desktop_legacy.json');
+  fs.writeFileSync(configPath, JSON.stringify({ mcpServers: { mine: { command: 'npx', args: ['agentforce-reliable-tool'] } } }));
+
+  const { code } = await runCli(home, ['install-claude', '--profile', 'default', '--config-path', configPath]);
+  assert.equal(code, 0);
+
+  const servers = JSON.parse(fs.readFileSync(configPath, 'utf8')).mcpServers;
+  assert.deepEqual(Object.keys(servers), ['mine']);
+  assert.deepEqual(servers.mine.args, ['agentforce-reliable-tool', '--profile', 'default']);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redact } from '../src/logger.js';
+
+test('redact masks credential fields', () => {
+  const masked = redact({
+    token: 't1',
+    accessToken: 't2',
+    access_token: 't3',
+    refresh_token: 't4',
+    idToken: 't5',
+    bearer: 't6',
+    clientSecret: 's1',
+    apiKey: 'k1',
+    headers: { Authorization: 'Bearer abc', 'x-api-key': 'k2' }
+  });
+
+  for (const key of ['token', 'accessToken', 'access_token', 'refresh_token', 'idToken', 'bearer', 'clientSecret', 'apiKey']) {
+    assert.equal(masked[key], '[REDACTED]', key);
+  }
+  assert.equal(masked.headers.Authorization, '[REDACTED]');
+  assert.equal(masked.headers['x-api-key'], '[REDACTED]');
+});
+
+test('redact keeps fields that only mention tokens', () => {
+  const kept = redact({
+    progressToken: 'p-1',
+    availableTokens: 7,
+    rateLimit: { burst: 10, availableTokens: 3 },
+    tokenCount: 42
+  });
+
+  assert.deepEqual(kept, {
+    progressToken: 'p-1',
+    availableTokens: 7,
+    rateLimit: { burst: 10, availableTokens: 3 },
+    tokenCount: 42
+  });
+});
+
+test('redact masks secrets inside free text', () => {
+  assert.equal(redact('Authorization: Bearer abc.def'), 'Authorization: Bearer [REDACTED]');
+  assert.equal(redact('client_secret=xyz&grant_type=client_credentials'), 'client_secret=[REDACTED]&grant_type=client_credentials');
+});
@@ -0,0 +1,192 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+import { fileURLToPath } from 'url';
+import { useTempHome, writeConfig, startServer, readJson } from './helpers.js';
+
+const home = useTempHome();
+
+// Entry point of the command line tool
+const CLI_PATH = fileURLToPath(new URL('../src/client.js', import.meta.url));
+
+// Server answering every tool call with a link; "slow" messages are only answered once the call is dropped
+// Calls and cancellations are recorded in order
+async function startStub() {
+  const calls = [];
+  const cancels = [];
+  const server = await startServer(async (request, response) => {
+    const body = await readJson(request);
+    if (request.url === '/mcp/cancel') {
+      cancels.push(body.requestId);
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end('{}');
+      return;
+    }
+    calls.push({ name: body.tool && body.tool.name, requestId: request.headers['x-request-id'] });
+    if (body.tool && body.tool.args && body.tool.args.message === 'slow') {
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({
+      result: {
+        content: [
+          { type: 'text', text: 'Status: ok' },
+          { type: 'resource_link', uri: 'https://docs.example.com/status', name: 'Status page' }
+        ]
+      }
+    }));
+  });
+  return { ...server, calls, cancels };
+}
+
+// Run the MCP server over stdio; messages are written as lines and every line it prints is collected
+function startMcp() {
+  const child = spawn(process.execPath, [CLI_PATH], {
+    env: { ...process.env, HOME: home },
+    stdio: ['pipe', 'pipe', 'ignore']
+  });
+  const received = [];
+  const waiting = [];
+  createInterface({ input: child.stdout }).on('line', (line) => {
+    received.push(JSON.parse(line));
+    waiting.splice(0).forEach((check) => check());
+  });
+  const exited = new Promise((resolve) => child.on('exit', (code) => resolve(code)));
+
+  return {
+    child,
+    received,
+    exited,
+    send: (message) => child.stdin.write(JSON.stringify(message) + '\n'),
+    // Resolve with the first message received that matches, waiting for it if needed
+    next: (match) => new Promise((resolve) => {
+      const check = () => {
+        const found = received.find(match);
+        if (found) {
+          resolve(found);
+        } else {
+          waiting.push(check);
+        }
+      };
+      check();
+    })
+  };
+}
+
+// Start the server and complete the initialize handshake with a protocol version
+async function initialize(mcp, protocolVersion) {
+  mcp.send({ jsonrpc: '2.0', id: 0, method: 'initialize', params: { protocolVersion, capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } } });
+  const response = await mcp.next((message) => message.id === 0);
+  mcp.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+  return response.result;
+}
+
+// Wait until check() holds, failing after five seconds
+async function waitUntil(check) {
+  const deadline = Date.now() + 5000;
+  while (!check()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+test('initialize negotiates the protocol version and links reach only hosts that know them', async (t) => {
+  const stub = await startStub();
+  t.after(stub.close);
+  writeConfig(home, { profiles: { default: { serverUrl: stub.url } }, activeProfile: 'default' });
+
+  for (const [requested, expected, linkType] of [['2025-06-18', '2025-06-18', 'resource_link'], ['2024-11-05', '2024-11-05', 'text'], ['1999-01-01', '2025-06-18', 'resource_link']]) {
+    const mcp = startMcp();
+    t.after(() => mcp.child.kill());
+    const result = await initialize(mcp, requested);
+    assert.equal(result.protocolVersion, expected);
+    assert.ok(result.capabilities.tools);
+
+    mcp.send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'agentforce_get_status', arguments: {} } });
+    const { result: status } = await mcp.next((message) => message.id === 1);
+    const link = status.content.find((item) => item.uri === 'https://docs.example.com/status' || /docs\.example\.com/.test(item.text || ''));
+    assert.equal(link.type, linkType, requested);
+    if (linkType === 'text') {
+      assert.equal(link.text, 'Status page: https://docs.example.com/status');
+    }
+
+    mcp.child.stdin.end();
+    assert.equal(await mcp.exited, 0);
+  }
+});
+
+test('a batch is answered in one line, leaving out its notifications', async (t) => {
+  const stub = await startStub();
+  t.after(stub.close);
+  writeConfig(home, { profiles: { default: { serverUrl: stub.url } }, activeProfile: 'default' });
+
+  const mcp = startMcp();
+  t.after(() => mcp.child.kill());
+  await initialize(mcp, '2025-06-18');
+
+  mcp.send([
+    { jsonrpc: '2.0', id: 'a', method: 'ping' },
+    { jsonrpc: '2.0', method: 'notifications/progress', params: {} },
+    { jsonrpc: '2.0', id: 'b', method: 'tools/list' },
+    { jsonrpc: '2.0', id: 'c', method: 'no/such/method' }
+  ]);
+  const batch = await mcp.next(Array.isArray);
+
+  assert.deepEqual(batch.map((response) => response.id).sort(), ['a', 'b', 'c']);
+  assert.deepEqual(batch.find((response) => response.id === 'a').result, {});
+  assert.ok(batch.find((response) => response.id === 'b').result.tools.some((tool) => tool.name === 'agentforce_send_message'));
+  assert.equal(batch.find((response) => response.id === 'c').error.code, -32601);
+});
+
+test('a cancelled call gets no response and is cancelled on the server', async (t) => {
+  const stub = await startStub();
+  t.after(stub.close);
+  writeConfig(home, { profiles: { default: { serverUrl: stub.url } }, activeProfile: 'default', agent: { agentId: 'agent-1' } });
+
+  const mcp = startMcp();
+  t.after(() => mcp.child.kill());
+  await initialize(mcp, '2025-06-18');
+
+  mcp.send({ jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'agentforce_send_message', arguments: { message: 'slow' } } });
+  await waitUntil(() => stub.calls.some((call) => call.name === 'agentforce_send_message'));
+  mcp.send({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 7, reason: 'User stopped it' } });
+  await waitUntil(() => stub.cancels.length > 0);
+
+  // A later request is answered, the cancelled one never is
+  mcp.send({ jsonrpc: '2.0', id: 8, method: 'ping' });
+  await mcp.next((message) => message.id === 8);
+  assert.equal(mcp.received.some((message) => message.id === 7), false);
+  const sent = stub.calls.find((call) => call.name === 'agentforce_send_message');
+  assert.deepEqual(stub.cancels, [sent.requestId]);
+});
+
+for (const [how, close] of [['input closes', (mcp) => mcp.child.stdin.end()], ['SIGTERM arrives', (mcp) => mcp.child.kill('SIGTERM')]]) {
+  test(`calls still running when ${how} are aborted after the drain timeout`, async (t) => {
+    const stub = await startStub();
+    t.after(stub.close);
+    writeConfig(home, {
+      profiles: { default: { serverUrl: stub.url } },
+      activeProfile: 'default',
+      agent: { agentId: 'agent-1' },
+      shutdown: { timeoutMs: 300 }
+    });
+
+    const mcp = startMcp();
+    t.after(() => mcp.child.kill());
+    await initialize(mcp, '2025-06-18');
+    mcp.send({ jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'agentforce_send_message', arguments: { message: 'slow' } } });
+    await waitUntil(() => stub.calls.some((call) => call.name === 'agentforce_send_message'));
+
+    const closedAt = Date.now();
+    close(mcp);
+    assert.equal(await mcp.exited, 0);
+
+    // The aborted call is still answered, as an error, before the process exits
+    const { result } = mcp.received.find((message) => message.id === 3);
+    assert.equal(result.isError, true);
+    assert.ok(Date.now() - closedAt < 5000);
+  });
+}
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempHome } from './helpers.js';
+
+useTempHome();
+const { postToolCall, getCircuitState } = await import('../src/request.js');
+const { createMockServer } = await import('../src/mock-server.js');
+
+// Short delays so retries and the breaker's reset timeout fit in a test
+const RELIABILITY = {
+  retries: 3,
+  baseDelayMs: 10,
+  maxDelayMs: 20,
+  circuitBreaker: { failureThreshold: 3, resetTimeoutMs: 300 }
+};
+
+// Start a mock server with error rules; resolves with { mock, config }
+async function startMock(t, errors) {
+  const mock = createMockServer({ scenario: { errors } });
+  const serverUrl = await mock.listen(0);
+  t.after(() => mock.close());
+  return { mock, config: { profile: 'default', serverUrl, reliability: RELIABILITY } };
+}
+
+// Body of a get_status call
+const STATUS_CALL = { tool: { name: 'agentforce_get_status', args: {} } };
+
+test('a 503 is retried until the server answers, under the same request id', async (t) => {
+  const { mock, config } = await startMock(t, [{ tool: 'agentforce_get_status', status: 503, times: 2 }]);
+
+  const response = await postToolCall(config, STATUS_CALL, { requestId: 'req-1', timeout: 5000 });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(mock.calls.map((call) => call.requestId), ['req-1', 'req-1', 'req-1']);
+  assert.equal(getCircuitState(config.serverUrl).state, 'closed');
+});
+
+test('a 500 is only retried for a call that is safe to repeat, which keeps its idempotency key', async (t) => {
+  const { mock, config } = await startMock(t, [{ tool: 'agentforce_send_message', status: 500, times: 2 }]);
+  const body = { tool: { name: 'agentforce_send_message', args: { message: 'hi' } } };
+
+  await assert.rejects(postToolCall(config, body, { requestId: 'req-1', timeout: 5000 }), /status code 500/);
+  assert.equal(mock.calls.length, 1);
+
+  const response = await postToolCall(config, body, { requestId: 'req-2', idempotencyKey: 'key-2', timeout: 5000 });
+  assert.equal(response.status, 200);
+  assert.deepEqual(mock.calls.slice(1).map((call) => call.idempotencyKey), ['key-2', 'key-2']);
+});
+
+test('a 429 is retried after the Retry-After delay, and not at all when it asks for too long', async (t) => {
+  const { mock, config } = await startMock(t, [{ tool: 'agentforce_get_status', status: 429, retryAfter: 0.3, times: 1 }]);
+
+  const started = Date.now();
+  const response = await postToolCall(config, STATUS_CALL, { requestId: 'req-1', timeout: 5000 });
+  assert.equal(response.status, 200);
+  assert.ok(Date.now() - started >= 280);
+  assert.equal(mock.calls.length, 2);
+
+  mock.inject({ tool: 'agentforce_get_status', status: 429, retryAfter: 60, times: 1 });
+  await assert.rejects(postToolCall(config, STATUS_CALL, { requestId: 'req-2', timeout: 5000 }), /status code 429/);
+  assert.equal(mock.calls.length, 3);
+});
+
+test('the breaker opens after repeated failures, then lets one trial call through', async (t) => {
+  const { mock, config } = await startMock(t, [{ tool: 'agentforce_get_status', status: 500, times: 4 }]);
+  const noRetries = { ...config, reliability: { ...RELIABILITY, retries: 0 } };
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(postToolCall(noRetries, STATUS_CALL, { requestId: `req-${i}`, timeout: 5000 }), /status code 500/);
+  }
+  assert.equal(getCircuitState(config.serverUrl).state, 'open');
+
+  // Open: refused without reaching the server
+  await assert.rejects(postToolCall(noRetries, STATUS_CALL, { requestId: 'req-3', timeout: 5000 }), (error) => error.code === 'circuit_open');
+  assert.equal(mock.calls.length, 3);
+
+  // Half-open after the reset timeout: a failed trial opens it again at once
+  await new Promise((resolve) => setTimeout(resolve, 320));
+  await assert.rejects(postToolCall(noRetries, STATUS_CALL, { requestId: 'req-4', timeout: 5000 }), /status code 500/);
+  assert.equal(mock.calls.length, 4);
+  assert.equal(getCircuitState(config.serverUrl).state, 'open');
+
+  // A successful trial closes it
+  await new Promise((resolve) => setTimeout(resolve, 320));
+  const response = await postToolCall(noRetries, STATUS_CALL, { requestId: 'req-5', timeout: 5000 });
+  assert.equal(response.status, 200);
+  assert.equal(getCircuitState(config.serverUrl).state, 'closed');
+  assert.equal(getCircuitState(config.serverUrl).failures, 0);
+});
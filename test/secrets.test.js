@@ -0,0 +1,55 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSecretStore } from '../src/secrets.js';
+
+// A store in a new temporary directory
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentforce-secrets-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { filePath: path.join(dir, 'secrets.json'), store: createSecretStore(path.join(dir, 'secrets.json')) };
+}
+
+test('secrets round-trip and are not stored in clear', (t) => {
+  const { filePath, store } = tempStore(t);
+  store.set('default', 'key-123');
+
+  assert.equal(store.get('default'), 'key-123');
+  assert.equal(store.get('missing'), null);
+  assert.ok(!fs.readFileSync(filePath, 'utf8').includes('key-123'));
+});
+
+test('the key is derived once, not on every read', (t) => {
+  const { store } = tempStore(t);
+  const scrypt = mock.method(crypto, 'scryptSync');
+  t.after(() => scrypt.mock.restore());
+
+  store.set('a', 'one');
+  store.set('b', 'two');
+  for (let i = 0; i < 5; i++) {
+    assert.equal(store.get('a'), 'one');
+  }
+  assert.equal(scrypt.mock.callCount(), 1);
+});
+
+test('a changed passphrase is not served from the cache', (t) => {
+  const { store } = tempStore(t);
+  const previous = process.env.AGENTFORCE_PASSPHRASE;
+  t.after(() => {
+    if (previous === undefined) {
+      delete process.env.AGENTFORCE_PASSPHRASE;
+    } else {
+      process.env.AGENTFORCE_PASSPHRASE = previous;
+    }
+  });
+
+  process.env.AGENTFORCE_PASSPHRASE = 'right';
+  store.set('default', 'key-123');
+  assert.equal(store.get('default'), 'key-123');
+
+  process.env.AGENTFORCE_PASSPHRASE = 'wrong';
+  assert.throws(() => store.get('default'), /Unable to decrypt secret "default"/);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useTempHome, writeConfig, startServer, readJson } from './helpers.js';
+
+const home = useTempHome();
+const configDir = path.join(home, '.agentforce-reliable-client');
+
+// A server whose send_message answers are taken from replies, in turn
+async function startStub(replies) {
+  return startServer(async (request, response) => {
+    const body = await readJson(request);
+    const name = body.tool && body.tool.name;
+    let result = { content: [{ type: 'text', text: 'ok' }] };
+    if (name === 'agentforce_create_session') {
+      result = { content: [{ type: 'text', text: 'Session created' }], sessionId: 'session-1' };
+    } else if (name === 'agentforce_send_message') {
+      result = replies.shift();
+    }
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ result }));
+  });
+}
+
+// Turns in the transcripts of the default profile
+function transcriptTurns() {
+  const dir = path.join(configDir, 'transcripts', 'default');
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).flatMap((file) => fs.readFileSync(path.join(dir, file), 'utf8').split('\n').filter(Boolean));
+}
+
+// Session state of a client
+function storedSession(clientId) {
+  return JSON.parse(fs.readFileSync(path.join(configDir, 'state.json'), 'utf8')).profiles.default.clients[clientId].session;
+}
+
+test('a failed send is normalized but neither transcribed nor keeps the session alive', async (t) => {
+  const server = await startStub([
+    { content: [{ type: 'text', text: 'Hello there' }] },
+    { content: [{ type: 'text', text: 'Agent is busy' }], error: { code: 'agent_busy', message: 'Agent is busy' } }
+  ]);
+  t.after(server.close);
+  writeConfig(home, { profiles: { default: { serverUrl: server.url } }, activeProfile: 'default', agent: { agentId: 'agent-1' } });
+  const { runTool } = await import('../src/tool-runner.js');
+
+  const answered = await runTool('agentforce_send_message', { clientId: 'c1', message: 'hi' });
+  assert.equal(answered.content[0].text, 'Hello there');
+  assert.equal(transcriptTurns().length, 1);
+  const lastUsedAt = storedSession('c1').lastUsedAt;
+
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const failed = await runTool('agentforce_send_message', { clientId: 'c1', message: 'again' });
+
+  assert.equal(failed.isError, true);
+  assert.equal(failed.error.code, 'agent_busy');
+  assert.equal(failed._meta.agentforce.outcome, 'failed');
+  assert.equal(transcriptTurns().length, 1);
+  assert.equal(storedSession('c1').lastUsedAt, lastUsedAt);
+});
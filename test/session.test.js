@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { setImmediate as nextTurn } from 'timers/promises';
+import { useTempHome } from './helpers.js';
+
+const home = useTempHome();
+const statePath = path.join(home, '.agentforce-reliable-client', 'state.json');
+const session = await import('../src/session.js');
+
+// A callTool stand-in answering authenticate and create_session like the server and recording
+// the outcome the way those tools' hooks do; calls lists the tools called
+function fakeServer(config) {
+  const calls = [];
+  const callTool = async (name, args) => {
+    calls.push(name);
+    await nextTurn();
+    if (name === 'agentforce_create_session') {
+      const result = { content: [{ type: 'text', text: 'Session created: 11111111-2222-3333-4444-555555555555' }] };
+      session.recordSession(config, args.clientId, result);
+      return result;
+    }
+    session.recordAuthentication(config, args.clientId, args.config);
+    return { content: [{ type: 'text', text: 'Authenticated' }] };
+  };
+  return { calls, callTool };
+}
+
+test('ensureSession authenticates and creates one session for concurrent callers', async () => {
+  const config = { profile: 'boot', agent: { agentId: 'agent-1' } };
+  const server = fakeServer(config);
+
+  await Promise.all([1, 2, 3].map(() => session.ensureSession(config, 'c1', server.callTool)));
+
+  assert.deepEqual(server.calls, ['agentforce_authenticate', 'agentforce_create_session']);
+  const stored = JSON.parse(fs.readFileSync(statePath, 'utf8')).profiles.boot.clients.c1;
+  assert.equal(stored.authenticated, true);
+  assert.equal(stored.session.id, '11111111-2222-3333-4444-555555555555');
+  assert.equal(stored.auth.agentId, 'agent-1');
+});
+
+test('ensureSession reuses a live session and only recreates an invalidated one', async () => {
+  const config = { profile: 'boot', agent: { agentId: 'agent-1' } };
+  const server = fakeServer(config);
+
+  await session.ensureSession(config, 'c1', server.callTool);
+  assert.deepEqual(server.calls, []);
+
+  session.invalidateSession(config, 'c1');
+  await session.ensureSession(config, 'c1', server.callTool);
+  assert.deepEqual(server.calls, ['agentforce_create_session']);
+});
+
+test('ensureSession without agent settings explains what is missing', async () => {
+  const server = fakeServer({ profile: 'noagent' });
+  const previous = process.env.SF_AGENT_ID;
+  delete process.env.SF_AGENT_ID;
+  try {
+    await assert.rejects(session.ensureSession({ profile: 'noagent' }, 'c9', server.callTool), /set SF_AGENT_ID/);
+  } finally {
+    if (previous !== undefined) {
+      process.env.SF_AGENT_ID = previous;
+    }
+  }
+  assert.deepEqual(server.calls, []);
+});
+
+test('an unreadable state file is not overwritten', () => {
+  const corrupt = '{"profiles": {"prod": {"clients": {';
+  fs.writeFileSync(statePath, corrupt);
+
+  session.touchSession({ profile: 'boot' }, 'c1');
+  session.invalidateSession({ profile: 'boot' }, 'c1');
+
+  assert.equal(fs.readFileSync(statePath, 'utf8'), corrupt);
+  fs.rmSync(statePath);
+});
+
+test('readers never see a partly written state file', async () => {
+  const script = `
+    const session = await import(${JSON.stringify(new URL('../src/session.js', import.meta.url).href)});
+    const config = { profile: 'race' };
+    for (let i = 0; i < 300; i++) {
+      session.recordSession(config, 'client-' + (i % 20), { sessionId: 'session-' + i + '-'.repeat(i % 50) });
+    }
+  `;
+  const writer = spawn(process.execPath, ['--input-type=module', '-e', script], { env: { ...process.env, HOME: home }, stdio: 'inherit' });
+  const exited = new Promise((resolve) => writer.on('exit', resolve));
+
+  let done = false;
+  exited.then(() => {
+    done = true;
+  });
+  let reads = 0;
+  while (!done) {
+    if (fs.existsSync(statePath)) {
+      const text = fs.readFileSync(statePath, 'utf8');
+      assert.doesNotThrow(() => JSON.parse(text), `partial state read: ${text.slice(-40)}`);
+      reads++;
+    }
+    await nextTurn();
+  }
+
+  assert.equal(await exited, 0);
+  assert.ok(reads > 0);
+  assert.equal(Object.keys(JSON.parse(fs.readFileSync(statePath, 'utf8')).profiles.race.clients).length, 20);
+  assert.deepEqual(fs.readdirSync(path.dirname(statePath)).filter((file) => file.includes('.tmp-')), []);
+});
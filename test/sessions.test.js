@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempHome, writeConfig } from './helpers.js';
+
+const home = useTempHome();
+const { createMockServer } = await import('../src/mock-server.js');
+const mock = createMockServer();
+const serverUrl = await mock.listen(0);
+writeConfig(home, { profiles: { default: { serverUrl } }, activeProfile: 'default', agent: { agentId: 'agent-1' } });
+
+const { runTool } = await import('../src/tool-runner.js');
+const { loadConfig } = await import('../src/config.js');
+const session = await import('../src/session.js');
+
+test.after(() => mock.close());
+
+// Sessions as agentforce_list_sessions reports them
+async function listSessions() {
+  const result = await runTool('agentforce_list_sessions', {});
+  return JSON.parse(result.content[0].text);
+}
+
+// Client ids the mock server saw for a tool, in order
+function clientIdsOf(tool) {
+  return mock.calls.filter((call) => call.tool === tool).map((call) => call.args.clientId);
+}
+
+test('a named session gets its own client and agent, and becomes the one tools use', async () => {
+  const switched = await runTool('agentforce_switch_session', { session: 'support', agentId: 'agent-2' });
+  assert.equal(switched.error, undefined);
+
+  const sessions = await listSessions();
+  assert.deepEqual(sessions.map(({ name, active }) => ({ name, active })), [
+    { name: 'default', active: false },
+    { name: 'support', active: true }
+  ]);
+  assert.equal(sessions[1].agentId, 'agent-2');
+  const [defaultSession, support] = sessions;
+
+  mock.calls.length = 0;
+  await runTool('agentforce_send_message', { message: 'to the active session' });
+  await runTool('agentforce_send_message', { message: 'to the default session', session: 'default' });
+  assert.deepEqual(clientIdsOf('agentforce_send_message'), [support.clientId, defaultSession.clientId]);
+  assert.equal(mock.clients.get(support.clientId).agentId, 'agent-2');
+  assert.equal(mock.clients.get(defaultSession.clientId).agentId, 'agent-1');
+
+  // A session can also be named by its agent session id
+  const { sessionId } = (await listSessions()).find((handle) => handle.name === 'support');
+  assert.equal(session.resolveSessionHandle(loadConfig(), sessionId).name, 'support');
+});
+
+test('a session argument naming no session is an error, and names are checked', async () => {
+  const result = await runTool('agentforce_send_message', { message: 'hi', session: 'nope' });
+  assert.equal(result.error.code, 'unknown_session');
+
+  const config = loadConfig();
+  assert.throws(() => session.createSessionHandle(config, 'bad name'), /Invalid session name/);
+  assert.throws(() => session.createSessionHandle(config, 'support'), /Session already exists/);
+});
+
+test('ending the active session resets its client and makes the default one active', async () => {
+  const support = (await listSessions()).find((handle) => handle.name === 'support');
+  mock.calls.length = 0;
+
+  const ended = await runTool('agentforce_end_session', {});
+  assert.match(ended.content[0].text, /Session support ended; the active session is now default/);
+  assert.deepEqual(clientIdsOf('agentforce_reset'), [support.clientId]);
+
+  const sessions = await listSessions();
+  assert.deepEqual(sessions.map(({ name, active }) => ({ name, active })), [{ name: 'default', active: true }]);
+  assert.equal(session.resolveSessionHandle(loadConfig(), 'support'), null);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { useTempHome, writeConfig, startServer, readJson } from './helpers.js';
+
+const home = useTempHome();
+const { readToolStream } = await import('../src/stream.js');
+
+// A response whose body arrives in the given chunks
+function streamedResponse(contentType, chunks) {
+  return { headers: { 'content-type': contentType }, data: Readable.from(chunks.map((chunk) => Buffer.from(chunk))) };
+}
+
+// Split a string's UTF-8 bytes at the given offsets
+function splitBytes(text, ...offsets) {
+  const bytes = Buffer.from(text);
+  const parts = [];
+  let start = 0;
+  for (const offset of [...offsets, bytes.length]) {
+    parts.push(bytes.subarray(start, offset));
+    start = offset;
+  }
+  return parts;
+}
+
+test('SSE text with a character split across chunks is decoded whole', async () => {
+  const body = 'data: {"text":"Done ✓"}\n\nevent: done\ndata: {}\n\n';
+  const check = Buffer.from(body).indexOf(Buffer.from('✓'));
+  const partials = [];
+  const result = await readToolStream(streamedResponse('text/event-stream', splitBytes(body, check + 1, check + 2)), (text) => partials.push(text));
+
+  assert.deepEqual(partials, ['Done ✓']);
+  assert.equal(result.content[0].text, 'Done ✓');
+});
+
+test('NDJSON result events are returned as the final result', async () => {
+  const body = '{"type":"chunk","text":"Hé"}\n{"type":"result","result":{"content":[{"type":"text","text":"Héllo"}]}}\n';
+  const result = await readToolStream(streamedResponse('application/x-ndjson', splitBytes(body, 27)), () => {});
+
+  assert.equal(result.content[0].text, 'Héllo');
+});
+
+test('a JSON body with a multibyte character split across chunks is decoded whole', async () => {
+  const body = JSON.stringify({ result: { content: [{ type: 'text', text: '✓ ok' }] } });
+  const check = Buffer.from(body).indexOf(Buffer.from('✓'));
+  const result = await readToolStream(streamedResponse('application/json', splitBytes(body, check + 1)), () => {});
+
+  assert.equal(result.content[0].text, '✓ ok');
+});
+
+test('a JSON body without a result is malformed', async () => {
+  await assert.rejects(readToolStream(streamedResponse('application/json', ['{"ok":true}']), () => {}), /Malformed response from server/);
+});
+
+test('a streamed call the server answers without a result is not sent again', async (t) => {
+  let calls = 0;
+  const server = await startServer(async (request, response) => {
+    const body = await readJson(request);
+    if (body.tool && body.tool.name === 'agentforce_send_message') {
+      calls++;
+    }
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body.tool && body.tool.name === 'agentforce_send_message' ? { ok: true } : { result: { content: [{ type: 'text', text: 'ok' }] } }));
+  });
+  t.after(server.close);
+
+  writeConfig(home, { profiles: { default: { serverUrl: server.url } }, activeProfile: 'default', agent: { agentId: 'agent1' } });
+  const { runTool } = await import('../src/tool-runner.js');
+  const result = await runTool('agentforce_send_message', { message: 'hi', clientId: 'c1' }, { onProgress: () => {} });
+
+  assert.equal(result.error.code, 'message_sending_error');
+  assert.match(result.error.message, /Malformed response from server/);
+  assert.equal(calls, 1);
+});
+
+test('a stream that ends with neither a result nor text is an error', async () => {
+  await assert.rejects(readToolStream(streamedResponse('text/event-stream', [': keep-alive\n\n', 'event: done\ndata: {}\n\n']), () => {}), /Stream ended without a result/);
+  await assert.rejects(readToolStream(streamedResponse('application/x-ndjson', []), () => {}), /Stream ended without a result/);
+});
+
+test('a streamed call whose stream ends empty is reported, not answered with an empty reply', async (t) => {
+  let calls = 0;
+  const server = await startServer(async (request, response) => {
+    const body = await readJson(request);
+    if (body.tool && body.tool.name === 'agentforce_send_message') {
+      calls++;
+      response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      response.end(': keep-alive\n\n');
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ result: { content: [{ type: 'text', text: 'ok' }] } }));
+  });
+  t.after(server.close);
+
+  writeConfig(home, { profiles: { default: { serverUrl: server.url } }, activeProfile: 'default', agent: { agentId: 'agent1' } });
+  const { runTool } = await import('../src/tool-runner.js');
+  const result = await runTool('agentforce_send_message', { message: 'hi', clientId: 'c2' }, { onProgress: () => {} });
+
+  assert.equal(result.error.code, 'message_sending_error');
+  assert.match(result.error.message, /Stream ended without a result/);
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempHome, writeConfig, startServer, readJson } from './helpers.js';
+
+const home = useTempHome();
+
+test('plain http calls are forwarded by the proxy rather than tunnelled', async (t) => {
+  const seen = [];
+  const proxy = await startServer(async (request, response) => {
+    seen.push({ method: request.method, url: request.url, host: request.headers.host });
+    await readJson(request);
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ result: { content: [{ type: 'text', text: 'Status: ok' }] } }));
+  });
+  t.after(proxy.close);
+
+  // The server host does not resolve: only a proxy that is handed the full URL can answer
+  writeConfig(home, {
+    profiles: { default: { serverUrl: 'http://agentforce.invalid:8080', proxy: proxy.url } },
+    activeProfile: 'default'
+  });
+  const { runTool } = await import('../src/tool-runner.js');
+  const result = await runTool('agentforce_get_status', {});
+
+  assert.equal(result.error, undefined);
+  assert.ok(seen.length > 0);
+  for (const request of seen) {
+    assert.notEqual(request.method, 'CONNECT');
+    assert.match(request.url, /^http:\/\/agentforce\.invalid:8080\//);
+    assert.equal(request.host, 'agentforce.invalid:8080');
+  }
+});
+
+test('http and https targets behind the same proxy get their own agents', async () => {
+  const { requestAgents } = await import('../src/transport.js');
+  const config = { proxy: 'http://proxy.corp.example.com:3128' };
+  const plain = requestAgents(config, 'http://agentforce.invalid/mcp');
+  const secure = requestAgents(config, 'https://agentforce.invalid/mcp');
+
+  assert.equal(plain.httpAgent.constructor.name, 'HttpProxyAgent');
+  assert.equal(secure.httpsAgent.constructor.name, 'HttpsProxyAgent');
+  assert.equal(requestAgents(config, 'http://other.invalid/').httpAgent, plain.httpAgent);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runInTurn, getQueueState, activeQueueCount } from '../src/turn-queue.js';
+
+// A task that records when it starts and ends, finishing after ms
+function task(log, name, ms) {
+  return async () => {
+    log.push(`start ${name}`);
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    log.push(`end ${name}`);
+    return name;
+  };
+}
+
+test('turns of a session run one at a time in arrival order', async () => {
+  const config = { profile: 'order' };
+  const log = [];
+  const results = await Promise.all([
+    runInTurn(config, 'c1', task(log, 'a', 30)),
+    runInTurn(config, 'c1', task(log, 'b', 5)),
+    runInTurn(config, 'c1', task(log, 'c', 1))
+  ]);
+
+  assert.deepEqual(results, ['a', 'b', 'c']);
+  assert.deepEqual(log, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+  assert.equal(getQueueState(config, 'c1').turns, 3);
+});
+
+test('sessions do not wait for each other', async () => {
+  const config = { profile: 'parallel' };
+  const log = [];
+  await Promise.all([runInTurn(config, 'c1', task(log, 'a', 30)), runInTurn(config, 'c2', task(log, 'b', 1))]);
+
+  assert.deepEqual(log, ['start a', 'start b', 'end b', 'end a']);
+});
+
+test('a full queue turns calls away as rate limited', async () => {
+  const config = { profile: 'cap', rateLimit: { maxQueueDepth: 2 } };
+  const log = [];
+  const outcomes = await Promise.allSettled([1, 2, 3].map((i) => runInTurn(config, 'c1', task(log, String(i), 5))));
+
+  assert.deepEqual(outcomes.map((outcome) => outcome.status), ['fulfilled', 'fulfilled', 'rejected']);
+  assert.equal(outcomes[2].reason.code, 'rate_limited');
+  assert.equal(getQueueState(config, 'c1').rejected, 1);
+});
+
+test('a turn cancelled while queued does not let the next one overtake', async () => {
+  const config = { profile: 'cancel' };
+  const log = [];
+  const controller = new AbortController();
+  const first = runInTurn(config, 'c1', task(log, 'a', 30));
+  const second = runInTurn(config, 'c1', task(log, 'b', 1), controller.signal);
+  const third = runInTurn(config, 'c1', task(log, 'c', 1));
+  controller.abort();
+
+  await assert.rejects(second, (error) => error.code === 'cancelled');
+  await Promise.all([first, third]);
+  assert.deepEqual(log, ['start a', 'end a', 'start c', 'end c']);
+});
+
+test('empty queues are dropped and reading status creates none', async () => {
+  const config = { profile: 'cleanup' };
+  const before = activeQueueCount();
+  await Promise.all(['s1', 's2', 's3'].map((clientId) => runInTurn(config, clientId, async () => {})));
+  assert.equal(activeQueueCount(), before);
+
+  assert.deepEqual(getQueueState({ profile: 'unknown' }, 'nobody'), {
+    depth: 0, maxDepth: 10, turns: 0, lastWaitMs: 0, maxWaitMs: 0, avgWaitMs: 0, rejected: 0
+  });
+  assert.equal(activeQueueCount(), before);
+});